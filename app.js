@@ -12,6 +12,14 @@ const noCache = require('nocache');
 const compression = require('compression');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const cmAuth = require('./common/auth');
+const cmCsrf = require('./common/csrf');
+const cmSession = require('./common/session');
+const cmMetrics = require('./common/metrics');
+const cmContext = require('./common/context');
+const cookieParser = require('cookie-parser');
+const SQL = require('./src/sql');
+const audit = require('./src/service/audit');
 
 morgan.token('user', (req) => _.get(req, 'user.Email', '-'));
 morgan.token('fullname', (req) => _.get(req, 'user.FullName', '-'));
@@ -34,7 +42,10 @@ const loggerMiddlewareResponses = morgan(morganFormatResponses, {
 
 module.exports = (async () => {
     _setupProcessHandlers();
+    await SQL.ready;
+    audit.watch();
     const app = express();
+    app.use(cmContext.requestId(configuration.get('log.requestIdHeader'))); // first, so every log has request id
     app.use(helmet({
         frameguard: false,
     }));
@@ -44,13 +55,34 @@ module.exports = (async () => {
     app.use(bodyParser.urlencoded({ limit: configuration.get('server.limition.urlencoded'), extended: true }));
     app.use(bodyParser.text({ limit: configuration.get('server.limition.text') })); // to support any text string
     app.use(cors(configuration.get('server.cors')));
+    app.use(cookieParser(configuration.get('server.cookie.secretKey') || undefined));
     app.set('trust proxy', true);
+    app.use((req, res, next) => {
+        // let keep-alive connections end so shutdown does not wait for them (see main.js)
+        if (req.app.locals.shuttingDown) {
+            res.set('Connection', 'close');
+        }
+        next();
+    });
+    if (cmSession.isEnabled()) {
+        app.use(cmSession.setup());
+    }
 
     const web_routers = configuration.get('server.urls.web_routers');
 
-    _setupMiddlewareRouters(app, web_routers.filter((route) => !route.csrf && !route.token), cmEnum.RouterType.NO_CSRF);
+    if (cmMetrics.isEnabled()) {
+        app.get(configuration.get('metrics.path'), cmMetrics.expose); // before loggers, scraped often
+        app.use(cmMetrics.collect);
+    }
+
+    app.use(loggerMiddlewareRequests);
+    app.use(loggerMiddlewareResponses);
+
+    _setupMiddlewareRouters(app, web_routers.filter((route) => route.public), cmEnum.RouterType.PUBLIC);
 
-    _setupMiddlewareRouters(app, web_routers.filter((route) => route.csrf && !route.token), cmEnum.RouterType.WITH_CSRF);
+    _setupMiddlewareRouters(app, web_routers.filter((route) => !route.public && !route.csrf), cmEnum.RouterType.NO_CSRF, cmAuth.authenticate);
+
+    _setupMiddlewareRouters(app, web_routers.filter((route) => !route.public && route.csrf), cmEnum.RouterType.WITH_CSRF, cmCsrf.protection, cmAuth.authenticate);
 
     _setupApiHandler(app);
 
@@ -58,10 +90,15 @@ module.exports = (async () => {
 })();
 
 function _setupProcessHandlers() {
-    process.on('exit', () => log.fatal('=== Fatal Error: Application Closed ==='));
+    process.on('exit', (code) => {
+        if (code === 0) {
+            log.info('=== Application Closed ===');
+        } else {
+            log.fatal('=== Fatal Error: Application Closed ===');
+        }
+    });
 
-    // these handlers prevent server from closing upon error
-    process.on('uncaughtException', (err) => log.error('Unhandled Exception at', err));
+    // this handler prevents server from closing upon error, uncaught exceptions shut down the server (see main.js)
     process.on('unhandledRejection', (reason) => {
         if (!(reason instanceof Error) || reason.name !== 'FeatureNotEnabled') {
             log.error('Unhandled Rejection at', reason);
@@ -70,19 +107,18 @@ function _setupProcessHandlers() {
 }
 
 function _setupApiHandler(app) {
+    app.use((req, res) => res.sendStatus(404)); // not answered by any router
     app.use(_genericErrorMiddleware);
     // swagger.setAppHandler(app);
 }
 
-function _setupMiddlewareRouters(app, routes, routeType) {
+function _setupMiddlewareRouters(app, routes, routeType, ...authMiddlewares) {
     if (routes) {
         routes
             .filter((route) => (route.file && route.path))
             .forEach((route) => {
                 const routeModule = require(route.file);
-                app.use(route.path, loggerMiddlewareRequests);
-                app.use(route.path, loggerMiddlewareResponses);
-                app.use(route.path, routeModule.setup(routeType));
+                app.use(route.path, cmMetrics.trackRoute, ...authMiddlewares, routeModule.setup(routeType));
                 log.info(`${route.file} will be public access via ${route.path}`);
                 app.use(route.path, _genericSuccessMiddleware);
             });
@@ -93,7 +129,7 @@ function _genericSuccessMiddleware(req, res, next) {
     let data_response = {};
     let answer = {};
     if (req.status === undefined && req.answer === undefined) {
-        res.sendStatus(404);
+        return next(); // same path may be served by another router type
     };
     if (req.errorCode) {
         const DataResponse = cmEnum.get_DataResponse(req.errorCode);
@@ -117,10 +153,15 @@ function _genericErrorMiddleware(err, req, res, next) {
     let data_response = {};
     if (err.code) {
         const DataResponse = cmEnum.get_DataResponse(err.code);
-        data_response = Object.assign({ errorCode: DataResponse.errorCode, message: DataResponse.message }, data_response);
+        // fill `$key` placeholders of message with `err.params`
+        const message = _.isEmpty(err.params) ? DataResponse.message : cmUtils.parseWithContentTemplate(DataResponse.message, _.keys(err.params), err.params);
+        data_response = Object.assign({ errorCode: DataResponse.errorCode, message: message }, data_response);
         const error = _simplifyError(req, data_response.message);
         response = data_response;
         response.message = error.errors;
+        if (!_.isNil(err.data)) {
+            response.data = err.data; // e.g. list of invalid fields
+        }
     } else {
         httpStatus = 500;
         if (_.includes(err.name, 'Sequelize')) {
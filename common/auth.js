@@ -0,0 +1,160 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Request authentication by JWT or server-side session (see ./session.js).
+ * Tokens and sessions carry the user's `token_version`, so increasing the version (i.e. logout)
+ * revokes every token issued before it. */
+
+const _ = require('lodash');
+const jwt = require('jsonwebtoken');
+const SQL = require('../src/sql');
+const cmCsrf = require('./csrf');
+const cmSession = require('./session');
+const cmContext = require('./context');
+const configuration = require('../configuration');
+
+const TOKEN_HEADER = configuration.get('auth.token.key');
+const TokenType = Object.freeze({
+    ACCESS: 'access',
+    REFRESH: 'refresh',
+});
+
+/**
+ * Issue a new access and refresh token pair for a user
+ * @param {Object} user  `user` model instance
+ * @returns {Object}  `{ accessToken, refreshToken, expiresIn }`, `expiresIn` is in seconds
+ */
+exports.signTokens = (user) => {
+    const expiresIn = configuration.get('auth.token.valid.all');
+    return {
+        accessToken: _sign(user, TokenType.ACCESS, expiresIn),
+        refreshToken: _sign(user, TokenType.REFRESH, configuration.get('auth.token.valid.refresh')),
+        expiresIn: expiresIn,
+    };
+};
+
+/**
+ * Verify a token and load the user it was issued to
+ * @async
+ * @param {String} token  Signed JWT
+ * @param {String} [type='access']  Expected token type
+ * @returns {Promise<Object>}  `user` model instance. Rejects with a DataResponse error code if token is not valid.
+ */
+exports.verifyToken = async (token, type = TokenType.ACCESS) => {
+    const error = new Error();
+    error.status = 401;
+
+    if (_.isEmpty(token)) {
+        error.code = '004003';
+        throw error;
+    };
+
+    let payload;
+    try {
+        payload = jwt.verify(token, configuration.get('auth.token.secret'), {
+            algorithms: [configuration.get('auth.token.algorithm')],
+            issuer: configuration.get('server.name'),
+        });
+    } catch (err) {
+        error.code = err.name === 'TokenExpiredError' ? '004001' : '004002';
+        throw error;
+    };
+
+    const user = payload.type === type ? await SQL.user.findByPk(payload.sub) : null;
+    if (_.isNil(user) || user.token_version !== payload.ver) {
+        error.code = '004002';
+        throw error;
+    };
+
+    return user;
+};
+
+/**
+ * Middleware for `RouterType.NO_CSRF` and `RouterType.WITH_CSRF` routes. A token sent with the
+ * request takes precedence, otherwise the user is taken from the session (if enabled). Unsafe
+ * requests (POST, PUT, etc.) authenticated by session must carry a CSRF token on every route.
+ * @async
+ * @param {Request} req  Express request, `req.user` is set on success
+ * @param {Response} res  Express response
+ * @param {Function} next  Express next
+ * @returns {Promise<void>}
+ */
+exports.authenticate = async (req, res, next) => {
+    const error = new Error();
+    error.status = 401;
+    try {
+        const token = exports.getRequestToken(req);
+        let user = null;
+
+        if (!_.isEmpty(token)) {
+            user = await exports.verifyToken(token);
+        } else if (cmSession.isEnabled() && _.has(req.session, 'userId')) {
+            user = await SQL.user.findByPk(req.session.userId);
+            // logout from any device revokes existing sessions as well
+            if (!_.isNil(user) && user.token_version !== req.session.tokenVersion) {
+                user = null;
+            };
+            // session cookie is sent with cross-site requests too, unlike a token
+            if (!_.isNil(user)) {
+                await cmCsrf.verify(req, res);
+            };
+        };
+
+        if (_.isNil(user)) {
+            error.code = '1';
+            throw error;
+        };
+
+        _setRequestUser(req, user);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Read the access token sent with a request
+ * @param {Request} req  Express request
+ * @returns {String}  Token, or `undefined` if none was sent
+ */
+exports.getRequestToken = (req) => {
+    const bearer = _.get(req.headers, 'authorization', '');
+    return req.get(TOKEN_HEADER) || (_.startsWith(bearer, 'Bearer ') ? bearer.slice(7) : undefined);
+};
+
+/**
+ * Shape of `req.user` shared by every authentication method. `Email`/`FullName` are used
+ * by the request logger and `username` by the error logger in app.js.
+ * @param {Object} user  `user` model instance
+ * @returns {Object}  Request user
+ */
+exports.toRequestUser = (user) => {
+    return {
+        id: user.id,
+        username: user.user_name,
+        Email: user.email,
+        FullName: user.user_name,
+        role: user.role,
+    };
+};
+
+exports.TokenType = TokenType;
+
+function _setRequestUser(req, user) {
+    req.user = exports.toRequestUser(user);
+    cmContext.set('user', req.user); // actor of audit trail, see src/service/audit.js
+}
+
+function _sign(user, type, expiresIn) {
+    return jwt.sign({ sub: user.id, ver: user.token_version, type: type }, configuration.get('auth.token.secret'), {
+        algorithm: configuration.get('auth.token.algorithm'),
+        issuer: configuration.get('server.name'),
+        expiresIn: expiresIn,
+    });
+}
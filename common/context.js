@@ -0,0 +1,61 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Request context kept across async calls (AsyncLocalStorage), so code that has no
+ * access to `req` (e.g. log layouts, Sequelize hooks) can still tell which request it runs for.
+ * Context holds `requestId`, `ip` and, once authenticated, `user` (see common/auth.js).
+ * Must not require configuration.js, which uses this file to set up log layouts. */
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/; // keep ids sent by clients safe to log
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Create a middleware that gives every request an id and runs the rest of the request in its context
+ * @param {String} header  Header to read the id from, if sent, and to echo the id in
+ * @returns {Function}  Express middleware, sets `req.id`
+ */
+exports.requestId = (header) => {
+    return (req, res, next) => {
+        const incoming = req.get(header);
+        req.id = (_.isString(incoming) && REQUEST_ID_PATTERN.test(incoming)) ? incoming : crypto.randomUUID();
+        res.set(header, req.id);
+        storage.run({ requestId: req.id, ip: req.ip }, next);
+    };
+};
+
+/**
+ * Get id of the request being handled
+ * @returns {String}  Request id, or `undefined` outside of a request
+ */
+exports.getRequestId = () => exports.get('requestId');
+
+/**
+ * Get a value of the request being handled
+ * @param {String} key  Context key
+ * @returns {any}  Value, or `undefined` outside of a request
+ */
+exports.get = (key) => _.get(storage.getStore(), key);
+
+/**
+ * Set a value for the rest of the request being handled. Does nothing outside of a request.
+ * @param {String} key  Context key
+ * @param {any} value  Value
+ * @returns {void}
+ */
+exports.set = (key, value) => {
+    const store = storage.getStore();
+    if (!_.isNil(store)) {
+        store[key] = value;
+    }
+};
@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview CSRF protection for `RouterType.WITH_CSRF` routes (double submit cookie).
+ * Client gets a token from `GET /auth/csrf-token` and sends it back in the `x-csrf-token`
+ * header (or `_csrf` body field) of every unsafe request. */
+
+const _ = require('lodash');
+const csurf = require('csurf');
+const configuration = require('../configuration');
+
+const COOKIE_SECRETKEY = configuration.get('server.cookie.secretKey');
+
+const csrfProtection = csurf({
+    cookie: Object.assign({ signed: !_.isEmpty(COOKIE_SECRETKEY) }, configuration.get('server.csrf.cookie')),
+});
+
+/**
+ * Middleware that validates the CSRF token of unsafe requests (POST, PUT, etc.) and
+ * makes `req.csrfToken()` available
+ * @param {Request} req  Express request
+ * @param {Response} res  Express response
+ * @param {Function} next  Express next
+ * @returns {void}
+ */
+exports.protection = (req, res, next) => {
+    csrfProtection(req, res, (err) => {
+        if (err && err.code === 'EBADCSRFTOKEN') {
+            const error = new Error();
+            error.code = '004005';
+            error.status = 403;
+            return next(error);
+        }
+        next(err);
+    });
+};
+
+/**
+ * Validate the CSRF token of an unsafe request outside of a `RouterType.WITH_CSRF` route, e.g. for a
+ * request authenticated by a session cookie, which browsers also send with cross-site requests
+ * @async
+ * @param {Request} req  Express request
+ * @param {Response} res  Express response
+ * @returns {Promise<void>}  Rejects with error code `004005` if token is missing or wrong
+ */
+exports.verify = (req, res) => {
+    return new Promise((resolve, reject) => {
+        exports.protection(req, res, (err) => (err ? reject(err) : resolve()));
+    });
+};
+
+/**
+ * Send a new CSRF token in a cookie readable by client scripts
+ * @param {Request} req  Express request, must have gone through `protection`
+ * @param {Response} res  Express response
+ * @returns {String}  CSRF token
+ */
+exports.issueToken = (req, res) => {
+    const token = req.csrfToken();
+    res.cookie(configuration.get('server.csrf.tokenCookie'), token, _.omit(configuration.get('server.csrf.cookie'), ['key', 'httpOnly']));
+    return token;
+};
@@ -1,17 +1,95 @@
 'use strict';
 
 exports.RouterType = Object.freeze({
-    AUTH_BY_TOKEN_ONLY: 'TOKEN', // token-based auth, no csrf
+    PUBLIC: 'PUBLIC', // no auth, no csrf
     NO_CSRF: 'API', // token/session auth, no csrf
     WITH_CSRF: 'CSRF', // token/session auth, with csrf
 });
 
+// permission catalogue, granted to roles through `role_permission` table
+exports.Permission = Object.freeze({
+    ROLE_VIEW: 'role:view',
+    ROLE_CREATE: 'role:create',
+    ROLE_UPDATE: 'role:update',
+    ROLE_DELETE: 'role:delete',
+    USER_VIEW: 'user:view',
+    USER_CREATE: 'user:create',
+    USER_UPDATE: 'user:update',
+    USER_DELETE: 'user:delete',
+    USER_UNLOCK: 'user:unlock',
+    USER_RESET_PASSWORD: 'user:reset-password',
+    AUDIT_VIEW: 'audit:view',
+    REPORT_VIEW: 'report:view',
+    FILE_UPLOAD: 'file:upload',
+    FILE_VIEW: 'file:view', // own files and avatars of users one can view
+    FILE_VIEW_ANY: 'file:view-any', // files uploaded by anyone
+});
+
 exports.DataResponse = Object.freeze([
     { errorCode: '0', message: 'Success' },
     { errorCode: '1', message: 'Invalid Session' },
 
     { errorCode: '001001', message: 'Not found role id' },
     { errorCode: '001002', message: 'Role name is requied' },
+    { errorCode: '001003', message: 'Role code already exists' },
+    { errorCode: '001004', message: 'Role code is required and must be a number' },
+    { errorCode: '001005', message: 'Role is still assigned to $total user(s)' },
+    { errorCode: '001006', message: 'User list is empty or has users that do not exist' },
+
+    { errorCode: '002001', message: 'Not found user id' },
+    { errorCode: '002002', message: 'User name is required' },
+    { errorCode: '002003', message: 'Birth is required' },
+    { errorCode: '002004', message: 'Start day is required' },
+    { errorCode: '002005', message: 'Not found role code' },
+    { errorCode: '002006', message: 'Email is already used by another user' },
+    { errorCode: '002007', message: 'Avatar must be a file uploaded for purpose avatar' },
+
+    { errorCode: '003001', message: 'Page must be a positive number' },
+    { errorCode: '003002', message: 'PerPage must be a positive number not greater than 100' },
+    { errorCode: '003003', message: 'Invalid sort field' },
+    { errorCode: '003004', message: 'SortOrder must be ASC or DESC' },
+    { errorCode: '003005', message: 'Invalid filter field' },
+
+    { errorCode: '004001', message: 'Token has expired' },
+    { errorCode: '004002', message: 'Invalid token' },
+    { errorCode: '004003', message: 'Token is required' },
+    { errorCode: '004004', message: 'Invalid email or password' },
+    { errorCode: '004005', message: 'Invalid CSRF token' },
+    { errorCode: '004006', message: 'Account is locked, retry after $seconds seconds' },
+    { errorCode: '004007', message: 'Password must have at least $length characters' },
+    { errorCode: '004008', message: 'Password must contain upper case, lower case, number and special character' },
+    { errorCode: '004009', message: 'Current password is incorrect' },
+    { errorCode: '004010', message: 'New password must be different from current password' },
+
+    { errorCode: '005001', message: 'Invalid OTP purpose' },
+    { errorCode: '005002', message: 'OTP has expired or does not exist' },
+    { errorCode: '005003', message: 'OTP was entered wrongly too many times, please request a new one' },
+    { errorCode: '005004', message: 'Invalid OTP' },
+    { errorCode: '005005', message: 'Email or phone is required' },
+    { errorCode: '005006', message: 'A code was sent recently, retry after $seconds seconds' },
+
+    { errorCode: '006001', message: 'Unable to send message, please try again later' },
+
+    { errorCode: '007001', message: 'You do not have permission to perform this action' },
+    { errorCode: '007002', message: 'Invalid permission' },
+
+    { errorCode: '008001', message: 'Invalid request data' },
+
+    { errorCode: '009001', message: 'Server is shutting down' },
+    { errorCode: '009002', message: 'Database is not reachable' },
+
+    { errorCode: '010001', message: 'No file was uploaded' },
+    { errorCode: '010002', message: 'File is larger than $maxSize bytes' },
+    { errorCode: '010003', message: 'File type is not allowed, expected one of $types' },
+    { errorCode: '010004', message: 'Not found file id' },
+    { errorCode: '010005', message: 'File content is not valid base64' },
+
+    { errorCode: '011001', message: 'CSV file has $total invalid row(s), nothing was imported' },
+    { errorCode: '011002', message: 'CSV file must have columns $columns' },
+    { errorCode: '011003', message: 'CSV file has more than $maxRows rows' },
+    { errorCode: '011004', message: 'CSV file cannot be read at line $line' },
+
+    { errorCode: '012001', message: 'Quarter must be one of $from to $to, e.g. Q1-2024' },
 ]);
 
 exports.get_DataResponse = (Code) => {
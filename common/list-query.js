@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * @fileoverview Shared paging, sorting and filtering for list routes.
+ * Query string format:
+ *      ?Page=2&PerPage=20&SortBy=user_name&SortOrder=DESC&role=1&user_name=eric
+ * Any key other than the paging/sorting keys is treated as a filter on the model column
+ * with the same name. Text columns are matched partially, the others exactly. */
+
+const _ = require('lodash');
+const { Op } = require('sequelize');
+const cmUtils = require('./utils');
+
+const RESERVED_KEYS = Object.freeze(['Page', 'PerPage', 'SortBy', 'SortOrder']);
+const SORT_ORDERS = Object.freeze(['ASC', 'DESC']);
+const MAX_PER_PAGE = 100;
+
+/**
+ * Convert a request query string into Sequelize find options
+ * @param {Model} model  Sequelize model to query
+ * @param {Object} [query={}]  `req.query`
+ * @param {Object} [options]
+ * @param {String} [options.defaultSort='id']  Column to sort by when `SortBy` is not given
+ * @param {String[]} [options.reserved=[]]  Extra query keys the route uses that are not filters
+ * @param {String[]} [options.exclude=[]]  Columns that cannot be sorted or filtered on
+ * @returns {Object}  `where`, `order`, `limit`, `offset` and `page`
+ */
+exports.parse = (model, query = {}, { defaultSort = 'id', reserved = [], exclude = [] } = {}) => {
+    const error = new Error();
+    const attributes = _.difference(_.keys(model.getAttributes()), exclude);
+
+    if (!_.isUndefined(query.Page) && !_isPositiveInteger(query.Page)) {
+        error.code = '003001';
+        throw error;
+    };
+
+    if (!_.isUndefined(query.PerPage) && (!_isPositiveInteger(query.PerPage) || Number(query.PerPage) > MAX_PER_PAGE)) {
+        error.code = '003002';
+        throw error;
+    };
+
+    const sortBy = _.isEmpty(query.SortBy) ? defaultSort : query.SortBy;
+    if (!_.includes(attributes, sortBy)) {
+        error.code = '003003';
+        throw error;
+    };
+
+    const sortOrder = _.isEmpty(query.SortOrder) ? 'ASC' : _.toUpper(query.SortOrder);
+    if (!_.includes(SORT_ORDERS, sortOrder)) {
+        error.code = '003004';
+        throw error;
+    };
+
+    const where = {};
+    _.each(_.omit(query, _.concat(RESERVED_KEYS, reserved)), (value, key) => {
+        if (!_.includes(attributes, key) || !_.isString(value)) {
+            error.code = '003005';
+            throw error;
+        };
+
+        where[key] = _isTextColumn(model, key) ? { [Op.like]: `%${value}%` } : value;
+    });
+
+    const { PerPage, Offset, Page } = cmUtils.getPageInfo(query);
+    return {
+        where: where,
+        order: [[sortBy, sortOrder]],
+        limit: PerPage,
+        offset: Offset,
+        page: Page,
+    };
+};
+
+/**
+ * Run a paginated list query for a route
+ * @async
+ * @param {Model} model  Sequelize model to query
+ * @param {Object} query  `req.query`
+ * @param {Object} [options]  Same as `parse()` options, plus:
+ * @param {Object} [options.findOptions={}]  Extra Sequelize options (e.g. `include`). `where` is merged with the filters.
+ * @returns {Promise<Object>}  `{ items, total, totalPage, page }`
+ */
+exports.findPage = async (model, query, options = {}) => {
+    const { where, order, limit, offset, page } = exports.parse(model, query, options);
+    const findOptions = _.get(options, 'findOptions', {});
+
+    const { rows, count } = await model.findAndCountAll(Object.assign({}, findOptions, {
+        where: Object.assign({}, findOptions.where, where),
+        order: order,
+        limit: limit,
+        offset: offset,
+        distinct: true,
+    }));
+
+    return {
+        items: rows,
+        total: count,
+        totalPage: cmUtils.calTotalPage(count, limit),
+        page: page,
+    };
+};
+
+function _isPositiveInteger(value) {
+    return /^[1-9]\d*$/.test(value);
+}
+
+function _isTextColumn(model, key) {
+    const type = _.get(model.getAttributes(), [key, 'type', 'key']);
+    return _.includes(['STRING', 'TEXT', 'CHAR'], type);
+}
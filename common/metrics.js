@@ -0,0 +1,173 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Prometheus metrics (`metrics`), exposed in text format at `metrics.path`.
+ * Collects request counts and latency per route, database query durations, database pool usage
+ * and, if `metrics.defaultMetrics` is on, process stats (cpu, memory, event loop, GC).
+ * Routes are labelled by their pattern (e.g. `/role/detail/:roleId`), never by the real url,
+ * to keep the number of series small. */
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const client = require('prom-client');
+const configuration = require('../configuration');
+
+const UNMATCHED_ROUTE = 'unmatched';
+const QUERY_TYPES = Object.freeze(['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'BEGIN', 'COMMIT', 'ROLLBACK']);
+const POOL_STATES = Object.freeze(['size', 'available', 'using', 'waiting']);
+
+const prefix = configuration.get('metrics.prefix');
+const registry = new client.Registry();
+let sequelize;
+
+if (configuration.get('metrics.defaultMetrics')) {
+    client.collectDefaultMetrics({ register: registry, prefix: prefix });
+}
+
+const httpRequests = new client.Counter({
+    name: `${prefix}http_requests_total`,
+    help: 'Number of HTTP requests',
+    labelNames: ['method', 'route', 'status_code'],
+    registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+    name: `${prefix}http_request_duration_seconds`,
+    help: 'HTTP request latency in seconds',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: configuration.get('metrics.buckets.http'),
+    registers: [registry],
+});
+
+const dbDuration = new client.Histogram({
+    name: `${prefix}db_query_duration_seconds`,
+    help: 'Database query duration in seconds',
+    labelNames: ['type'],
+    buckets: configuration.get('metrics.buckets.db'),
+    registers: [registry],
+});
+
+new client.Gauge({
+    name: `${prefix}db_pool_connections`,
+    help: 'Database connections in pool by state',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+        const pool = _.get(sequelize, 'connectionManager.pool');
+        _.each(POOL_STATES, (state) => {
+            this.set({ state: state }, _.get(pool, state, 0));
+        });
+    },
+});
+
+/**
+ * Check if metrics are turned on
+ * @returns {Boolean}  `true` if metrics are enabled
+ */
+exports.isEnabled = () => configuration.get('metrics.enabled', false) === true;
+
+/**
+ * Middleware that records count and latency of every request once response is sent
+ * @param {Request} req  Express request
+ * @param {Response} res  Express response
+ * @param {Function} next  Express next
+ * @returns {void}
+ */
+exports.collect = (req, res, next) => {
+    const endTimer = httpDuration.startTimer();
+    res.once('finish', () => {
+        const labels = {
+            method: req.method,
+            route: _getRoute(req),
+            status_code: res.statusCode,
+        };
+        httpRequests.inc(labels);
+        endTimer(labels);
+    });
+    next();
+};
+
+/**
+ * Middleware that remembers the path a router is mounted on, as `req.baseUrl` is reset once
+ * request leaves the router (i.e. when an error is passed to the error middleware)
+ * @param {Request} req  Express request
+ * @param {Response} res  Express response
+ * @param {Function} next  Express next
+ * @returns {void}
+ */
+exports.trackRoute = (req, res, next) => {
+    req.mountPath = req.baseUrl;
+    next();
+};
+
+/**
+ * Request handler that answers with every metric in Prometheus text format, to scrapers sending
+ * `metrics.token` as bearer token if it is set
+ * @async
+ * @param {Request} req  Express request
+ * @param {Response} res  Express response
+ * @param {Function} next  Express next
+ * @returns {Promise<void>}
+ */
+exports.expose = async (req, res, next) => {
+    try {
+        if (!_isAuthorized(req)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.sendStatus(401);
+        }
+
+        res.set('Content-Type', registry.contentType);
+        res.end(await registry.metrics());
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Watch queries and connection pool of a Sequelize instance
+ * @param {Object} instance  Sequelize instance
+ * @returns {void}
+ */
+exports.observeDatabase = (instance) => {
+    sequelize = instance;
+};
+
+/**
+ * Record duration of a query, meant to be called from Sequelize `logging` with `benchmark: true`
+ * @param {String} message  Sequelize log message, e.g. `Executed (default): SELECT ...`
+ * @param {Number} duration  Query duration in milliseconds
+ * @returns {void}
+ */
+exports.observeQuery = (message, duration) => {
+    if (!_.isFinite(duration)) {
+        return;
+    }
+    const type = _.toUpper(_.get(/^Executed \([^)]*\): (\w+)/.exec(message), 1));
+    dbDuration.observe({ type: _.includes(QUERY_TYPES, type) ? type : 'OTHER' }, duration / 1000);
+};
+
+function _getRoute(req) {
+    if (!_.isNil(req.route)) {
+        return `${req.mountPath || req.baseUrl}${req.route.path}`;
+    }
+    // stopped before reaching a route, e.g. by authentication
+    return req.mountPath || UNMATCHED_ROUTE;
+}
+
+function _isAuthorized(req) {
+    const token = configuration.get('metrics.token');
+    if (_.isEmpty(token)) {
+        return true;
+    }
+
+    // constant time, so the token cannot be guessed from response times
+    const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+    const actual = crypto.createHash('sha256').update(_.get(req.headers, 'authorization', '')).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
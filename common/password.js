@@ -0,0 +1,113 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Password hashing with scrypt (Node's crypto module) and password policy
+ * (`auth.password`). Hashes are stored as `scrypt$<N>$<r>$<p>$<salt>$<key>` so the cost
+ * can be raised later without breaking passwords that were hashed with the old cost. */
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const configuration = require('../configuration');
+
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const COST = Object.freeze({ N: 16384, r: 8, p: 1 });
+const CHARSETS = Object.freeze({
+    lowercase: 'abcdefghijkmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+    digits: '23456789',
+    specialchars: '!@#$%^&*-_=+?',
+});
+
+const scrypt = Promise.promisify(crypto.scrypt);
+
+/**
+ * Hash a plain text password with a random salt
+ * @async
+ * @param {String} password  Plain text password
+ * @returns {Promise<String>}  Encoded hash to store in database
+ */
+exports.hash = async (password) => {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(password, salt, KEY_LENGTH, COST);
+    return [PREFIX, COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+/**
+ * Check a plain text password against a stored hash
+ * @async
+ * @param {String} password  Plain text password
+ * @param {String} encoded  Hash created by `hash()`
+ * @returns {Promise<Boolean>}  `true` if password matches
+ */
+exports.verify = async (password, encoded) => {
+    const parts = _.split(encoded, '$');
+    if (!_.isString(password) || parts.length !== 6 || parts[0] !== PREFIX) {
+        return false;
+    }
+
+    const [, N, r, p, salt, key] = parts;
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Check a new password against `auth.password.length` and `auth.password.complex`. A complex
+ * password has at least one lower case, upper case, number and special character.
+ * @param {String} password  Plain text password
+ * @returns {void}  Throws error code `004007` if too short, `004008` if not complex enough
+ */
+exports.checkPolicy = (password) => {
+    const error = new Error();
+    const length = configuration.get('auth.password.length');
+
+    if (!_.isString(password) || password.length < length) {
+        error.code = '004007';
+        error.params = { length: length };
+        throw error;
+    }
+
+    if (configuration.get('auth.password.complex') &&
+        !(/[a-z]/.test(password) && /[A-Z]/.test(password) && /\d/.test(password) && /[^a-zA-Z\d]/.test(password))) {
+        error.code = '004008';
+        throw error;
+    }
+};
+
+/**
+ * Get the password to give to a new or reset account. Returns `auth.password.default` if set,
+ * otherwise a random password that satisfies the password policy.
+ * @returns {String}  Plain text password
+ */
+exports.generate = () => {
+    const defaultPassword = configuration.get('auth.password.default');
+    if (_.isString(defaultPassword) && !_.isEmpty(defaultPassword)) {
+        return defaultPassword;
+    }
+
+    const length = Math.max(configuration.get('auth.password.length'), 8);
+    const charsets = configuration.get('auth.password.complex') ? _.values(CHARSETS) : [CHARSETS.lowercase, CHARSETS.uppercase, CHARSETS.digits];
+    const allChars = charsets.join('');
+
+    // one character from every charset, the rest from any charset
+    const chars = _.map(charsets, (charset) => charset[crypto.randomInt(charset.length)]);
+    while (chars.length < length) {
+        chars.push(allChars[crypto.randomInt(allChars.length)]);
+    }
+
+    // Fisher-Yates shuffle so required characters are not always in front
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+};
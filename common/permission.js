@@ -0,0 +1,57 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Route-level authorization against the `role_permission` table.
+ * Declare it next to the route, after authentication has set `req.user`:
+ *      router.post('/update/:roleId', permission.check(cmEnum.Permission.ROLE_UPDATE), role.updateRole); */
+
+const _ = require('lodash');
+const { Op } = require('sequelize');
+const SQL = require('../src/sql');
+
+/**
+ * Create a middleware that only lets through users whose role has every given permission
+ * @param {...String} permissions  Values of `cmEnum.Permission`
+ * @returns {Function}  Express middleware. Passes error code `007001` if a permission is missing.
+ */
+exports.check = (...permissions) => {
+    return async (req, res, next) => {
+        const error = new Error();
+        error.status = 403;
+        try {
+            const granted = _.isNil(req.user) ? [] : await exports.getPermissions(req.user.role, permissions);
+
+            if (_.difference(permissions, granted).length > 0) {
+                error.code = '007001';
+                throw error;
+            };
+
+            next();
+        } catch (err) {
+            next(err);
+        };
+    };
+};
+
+/**
+ * Get the permissions granted to a role
+ * @async
+ * @param {Number} roleCode  Role code
+ * @param {String[]} [only]  Only look for these permissions
+ * @returns {Promise<String[]>}  Granted permissions
+ */
+exports.getPermissions = async (roleCode, only) => {
+    const where = { role_code: roleCode };
+    if (!_.isNil(only)) {
+        where.permission = { [Op.in]: only };
+    }
+
+    const data = await SQL.role_permission.findAll({ where: where });
+    return _.map(data, 'permission');
+};
@@ -0,0 +1,108 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Optional server-side session (`auth.session.enabled`).
+ * Sessions are stored in the same MySQL database as Sequelize. Session cookie is rolling,
+ * i.e. it expires after `auth.session.valid.all` seconds of inactivity. Unsafe requests authenticated
+ * by session must send a CSRF token (see ./csrf.js), on every router tier. */
+
+const log = require('log4js').getLogger('Session');
+
+const session = require('express-session');
+const MySQLStore = require('express-mysql-session')(session);
+const configuration = require('../configuration');
+
+/**
+ * Create the session middleware
+ * @returns {Function}  Express middleware that sets `req.session`
+ */
+exports.setup = () => {
+    return session({
+        name: configuration.get('auth.session.name'),
+        secret: configuration.get('auth.session.secret'),
+        store: _createStore(),
+        resave: false,
+        saveUninitialized: false, // only logged in users get a session
+        rolling: true,
+        cookie: {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: configuration.get('server.isHttps'),
+            maxAge: configuration.get('auth.session.valid.all') * 1000,
+        },
+    });
+};
+
+/**
+ * Check if session mode is turned on
+ * @returns {Boolean}  `true` if session is enabled
+ */
+exports.isEnabled = () => configuration.get('auth.session.enabled', false) === true;
+
+/**
+ * Bind a logged in user to a new session. Session id is regenerated to prevent session fixation.
+ * @async
+ * @param {Request} req  Express request
+ * @param {Object} user  `user` model instance
+ * @returns {Promise<void>}
+ */
+exports.start = (req, user) => {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) {
+                reject(err);
+            } else {
+                req.session.userId = user.id;
+                req.session.tokenVersion = user.token_version;
+                resolve();
+            }
+        });
+    });
+};
+
+/**
+ * Remove session of request, if any
+ * @async
+ * @param {Request} req  Express request
+ * @returns {Promise<void>}
+ */
+exports.end = (req) => {
+    return new Promise((resolve, reject) => {
+        if (!req.session) {
+            return resolve();
+        }
+        req.session.destroy((err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+function _createStore() {
+    const sql = configuration.get('database.sql');
+    if (sql.dialect !== 'mysql') {
+        // only suitable for development, sessions are lost on restart
+        log.warn(`<Session> Dialect ${sql.dialect} is not supported by session store, using memory store instead.`);
+        return new session.MemoryStore();
+    }
+
+    return new MySQLStore({
+        host: sql.host,
+        port: sql.port,
+        user: sql.username,
+        password: sql.password,
+        database: sql.database,
+        expiration: sql.expiration * 1000, // store expects milliseconds
+        clearExpired: sql.clearExpired,
+        createDatabaseTable: true,
+    });
+}
@@ -467,23 +467,19 @@ exports.convertStringtoTimestamp = (datetime) => {
 };
 
 exports.parseWithContentTemplate = (ContentTemplate, Keys, ValueKeys) => {
-    log.info('parseWithContentTemplate ', JSON.stringify(ContentTemplate));
+    // debug only, content may hold secrets such as passwords or OTP
+    log.debug('parseWithContentTemplate ', JSON.stringify(ContentTemplate));
     for (const key of Keys) {
         if (!_.isNil(key) && key !== '') {
-            ContentTemplate = ContentTemplate.replace('$' + key, ValueKeys[key]);
+            ContentTemplate = ContentTemplate.split('$' + key).join(ValueKeys[key]);
         }
     }
-    log.info('parseWithContentTemplate ', JSON.stringify(ContentTemplate));
+    log.debug('parseWithContentTemplate ', JSON.stringify(ContentTemplate));
     return ContentTemplate;
 };
 
 exports.calTotalPage = (TotalItem, PageSize) => {
-    const num = TotalItem % PageSize;
-    let TotalPage = Math.round(TotalItem / PageSize);
-    if (num > 0 && num < 5) {
-        TotalPage += 1;
-    }
-    return Number(TotalPage);
+    return Number(Math.ceil(TotalItem / PageSize));
 };
 
 exports.encryptWithPublicKey = (value, pathPublicKey, output_type) => {
@@ -551,14 +547,14 @@ function _normalizeText(text) {
  * Random String
  *
  * @param {Integer} length Lenght string random
+ * @param {String} [chars='0123456789'] Characters to pick from
  * @returns {String} String random
  */
-exports.randomString = (length) => {
-    const chars = '0123456789';
+exports.randomString = (length, chars = '0123456789') => {
     let count = 0;
     const list = [];
     while (count < length) {
-        const Key = Math.floor(Math.random() * chars.length);
+        const Key = crypto.randomInt(chars.length);
         list.push(chars[Key]);
         count = list.length;
     }
@@ -620,7 +616,7 @@ exports.getPageInfo = (Query) => {
     const Page = Number(Query.Page) || 1;
     const PerPage = Number(Query.PerPage) || 10;
     const Offset = Page === 1 ? 0 : (Page - 1) * PerPage;
-    return { PerPage, Offset };
+    return { Page, PerPage, Offset };
 };
 
 /**
@@ -675,99 +671,69 @@ exports.encryptMD5File = (file) => {
 
 
 /**
- * Get list quarter Year to filter data
+ * Get list quarter Year to filter data, from `report.startQuarter` up to the current quarter
+ * in the configured `timezone`
  *
- * @returns {*} Object data
+ * @param {String} [startQuarter]  First quarter of list, e.g. `Q1-2022`. Default is `report.startQuarter`,
+ *      or Q1 of two years ago if not set.
+ * @returns {*} Object data, `listQuarter` is `{ key: 'Q1-2024', value: '==Q1 2024==' }` oldest first,
+ *      `selectedQuarter` is the current quarter
  */
-exports.prepareListQuaterYear = () => {
+exports.prepareListQuaterYear = (startQuarter = configuration.get('report.startQuarter')) => {
+    const now = moment().utcOffset(TIMEZONE);
+    const current = { quarter: now.quarter(), year: now.year() };
+    const start = _parseQuarter(startQuarter) || { quarter: 1, year: current.year - 2 };
+
     const result = [];
-    result.push({
-        key: 'Q3-2017',
-        value: '==Q3 2017==',
-    });
-    result.push({
-        key: 'Q4-2017',
-        value: '==Q4 2017==',
-    });
-    const currentTime = new Date();
-    const currentYear = currentTime.getFullYear();
-    const quarterCurrent = Math.floor(currentTime.getMonth() / 3 + 1);
-    const selected = {
-        key: `Q${quarterCurrent}-${currentYear}`,
-        value: `==Q${quarterCurrent} ${currentYear}==`,
-    };
-    // nearly 3 years
-    let i = 2;
-    while (i >= 0) {
-        const year = currentYear - i;
-        for (let j = 1; j < 5; j++) {
-            const quarterYear = {
-                key: `Q${j}-${year}`,
-                value: `==Q${j} ${year}==`,
-            };
-            result.push(quarterYear);
+    let { quarter, year } = start;
+    while (year < current.year || (year === current.year && quarter <= current.quarter)) {
+        result.push(_toQuarterItem(quarter, year));
+        if (quarter === 4) {
+            quarter = 1;
+            year = year + 1;
+        } else {
+            quarter = quarter + 1;
         }
-        i = i - 1;
     }
     return {
         listQuarter: result,
-        selectedQuarter: selected,
+        selectedQuarter: _toQuarterItem(current.quarter, current.year),
     };
 };
 
 /**
  * Get list month of quarter and year from filter
  *
- * @param {*} quarterYearFilter quarter and year from filter
- * @returns {*} Object list month of quater and year
+ * @param {*} quarterYearFilter quarter and year from filter, a key of `prepareListQuaterYear()`, e.g. `Q4-2023`
+ * @returns {*} Object list month of quater and year, e.g. `{ month: ['10', '11', '12'], year: '2023' }`
+ * @throws {Error}  Error code `012001` if quarter is not in the list
  */
 exports.getMonthAndYearFromQuarter = (quarterYearFilter) => {
     const listQuarter = exports.prepareListQuaterYear();
     const selectedQuarter = listQuarter.listQuarter.find((e) => e.key === quarterYearFilter);
     const error = new Error();
-    let result = {};
     // Validate list filter is correct
     if (_.isNil(selectedQuarter)) {
-        error.code = '01301';
-        throw error;
-    }
-    const quarterArray = selectedQuarter.key.split('-');
-    if (_.isNil(quarterArray) || quarterArray.length !== 2) {
-        error.code = '01301';
+        error.code = '012001';
+        error.status = 400;
+        error.params = { from: _.get(_.first(listQuarter.listQuarter), 'key'), to: listQuarter.selectedQuarter.key };
         throw error;
     }
-    const month = [];
-    switch (quarterArray[0]) {
-        case 'Q1':
-            month.push('01', '02', '03');
-            break;
-        case 'Q2':
-            month.push('04', '05', '06');
-            break;
-        case 'Q3':
-            month.push('07', '08', '09');
-            break;
-        case 'Q4':
-            month.push(10, 11, 12);
-            break;
-    }
-    result = {
-        month: month,
-        year: quarterArray[1],
+    const { quarter, year } = _parseQuarter(selectedQuarter.key);
+    return {
+        month: _.map(_.range(quarter * 3 - 2, quarter * 3 + 1), (month) => _.padStart(month, 2, '0')),
+        year: String(year),
     };
-    return result;
 };
 /**
- * Get Month and Month Tile by Date Time
+ * Get Month and Month Tile by Date Time, in the configured `timezone`
  *
  * @param {String} dateTime date time data
- * @returns {Object} month and monthTile
+ * @returns {Object} month and monthTile, e.g. `{ month: 1, monthTitle: 'January' }`
  */
 exports.getMonthTitleByDateTime = (dateTime) => {
-    const date = new Date(dateTime);
-    const month = date.getMonth() + 1;
-    const monthTitle = date.toLocaleString('default', { month: 'long' });
-    return { month, monthTitle };
+    const date = moment(dateTime).utcOffset(TIMEZONE);
+    return { month: date.month() + 1, monthTitle: date.locale('en').format('MMMM') };
 };
 
 /**
@@ -849,4 +815,16 @@ exports.parseJWT = (token) => {
     }).join(''));
 
     return JSON.parse(jsonPayload);
-};
\ No newline at end of file
+};
+
+function _parseQuarter(quarterYear) {
+    const matched = /^Q([1-4])-(\d{4})$/.exec(quarterYear);
+    return _.isNil(matched) ? undefined : { quarter: Number(matched[1]), year: Number(matched[2]) };
+}
+
+function _toQuarterItem(quarter, year) {
+    return {
+        key: `Q${quarter}-${year}`,
+        value: `==Q${quarter} ${year}==`,
+    };
+}
@@ -0,0 +1,143 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Declarative request validation. A schema lists the fields of `params`, `query`
+ * and `body`, and every field error is returned at once with error code `008001`, or the `code` of
+ * the first invalid field that has one:
+ *      router.post('/update/:roleId', validator.validate({
+ *          params: { roleId: { type: 'integer', required: true } },
+ *          body: { roleName: { type: 'string', required: true, maxLength: 255 } },
+ *      }), role.updateRole);
+ *
+ * Field rules:
+ *      type        string | integer | number | boolean | date | array
+ *      required    `undefined`, `null` and '' are treated as missing
+ *      nullable    set false to reject `null` and '' when the field is sent (e.g. partial update)
+ *      minLength, maxLength  for strings and arrays
+ *      min, max    for integers and numbers
+ *      format      email | phone
+ *      enum        list of allowed values
+ *      items       rules for each item of an array
+ *      code        DataResponse error code answered when this field is invalid, e.g. `001004` */
+
+const _ = require('lodash');
+const moment = require('moment');
+
+const LOCATIONS = Object.freeze(['params', 'query', 'body']);
+const FORMATS = Object.freeze({
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^\+?[0-9][0-9\s-]{5,19}$/,
+});
+
+/**
+ * Create a middleware that validates a request against a schema
+ * @param {Object} schema  `{ params, query, body }`, each a map of field name to rules
+ * @returns {Function}  Express middleware. Passes error code `008001` (or the field `code`) with
+ *      `data` listing `{ location, field, message }` of every invalid field.
+ */
+exports.validate = (schema) => {
+    return (req, res, next) => {
+        const errors = [];
+        const codes = [];
+        _.each(LOCATIONS, (location) => {
+            _.each(schema[location], (rules, field) => {
+                const message = exports.checkValue(_.get(req, [location, field]), rules);
+                if (!_.isNil(message)) {
+                    errors.push({ location, field, message });
+                    codes.push(rules.code);
+                }
+            });
+        });
+
+        if (!_.isEmpty(errors)) {
+            const error = new Error();
+            error.code = _.find(codes) || '008001';
+            error.status = 400;
+            error.data = errors;
+            return next(error);
+        }
+        next();
+    };
+};
+
+/**
+ * Check one value against its rules
+ * @param {any} value  Value to check
+ * @param {Object} rules  Field rules
+ * @returns {String}  Error message, or `undefined` if value is valid
+ */
+exports.checkValue = (value, rules) => {
+    if (_.isNil(value) || value === '') {
+        if (rules.required) {
+            return 'is required';
+        }
+        return (rules.nullable === false && !_.isUndefined(value)) ? 'cannot be empty' : undefined;
+    }
+
+    const typeError = _checkType(value, rules.type);
+    if (typeError) {
+        return typeError;
+    }
+
+    const length = (_.isString(value) || _.isArray(value)) ? value.length : undefined;
+    if (!_.isNil(rules.minLength) && length < rules.minLength) {
+        return `must have at least ${rules.minLength} characters/items`;
+    }
+    if (!_.isNil(rules.maxLength) && length > rules.maxLength) {
+        return `must have at most ${rules.maxLength} characters/items`;
+    }
+
+    if (!_.isNil(rules.min) && Number(value) < rules.min) {
+        return `must be at least ${rules.min}`;
+    }
+    if (!_.isNil(rules.max) && Number(value) > rules.max) {
+        return `must be at most ${rules.max}`;
+    }
+
+    if (!_.isNil(rules.format) && !FORMATS[rules.format].test(value)) {
+        return `must be a valid ${rules.format}`;
+    }
+
+    if (!_.isNil(rules.enum) && !_.includes(_.map(rules.enum, String), String(value))) {
+        return `must be one of ${rules.enum.join(', ')}`;
+    }
+
+    if (_.isArray(value) && !_.isNil(rules.items)) {
+        const index = _.findIndex(value, (item) => !_.isNil(exports.checkValue(item, Object.assign({ required: true }, rules.items))));
+        if (index >= 0) {
+            return `item ${index} ${exports.checkValue(value[index], Object.assign({ required: true }, rules.items))}`;
+        }
+    }
+};
+
+/**
+ * Check type of value. Values from `params` and `query` are always strings, so numeric and
+ * boolean strings are accepted as numbers and booleans.
+ * @param {any} value  Value to check
+ * @param {String} type  Expected type
+ * @returns {String}  Error message, or `undefined` if value has the right type
+ */
+function _checkType(value, type) {
+    switch (type) {
+        case 'string':
+            return _.isString(value) ? undefined : 'must be a string';
+        case 'integer':
+            return /^-?\d+$/.test(_.toString(value)) ? undefined : 'must be an integer';
+        case 'number':
+            return (_.isFinite(value) || (_.isString(value) && _.isFinite(Number(value)) && _.trim(value) !== '')) ? undefined : 'must be a number';
+        case 'boolean':
+            return (_.isBoolean(value) || _.includes(['true', 'false'], value)) ? undefined : 'must be true or false';
+        case 'date':
+            return (_.isString(value) && moment(value, moment.ISO_8601, true).isValid()) ? undefined : 'must be a date in YYYY-MM-DD or ISO 8601 format';
+        case 'array':
+            return _.isArray(value) ? undefined : 'must be a list';
+        default:
+            return undefined;
+    }
+}
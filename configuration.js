@@ -9,13 +9,31 @@
 /**
  * @fileoverview Full list of system settings/configurations.
  * Do not modify @private settings unless you know what you are doing.
- * Unit for time is ALWAYS in seconds */
+ * Unit for time is ALWAYS in seconds
+ *
+ * Settings are layered, later layers win:
+ *      1. DEFAULTS below
+ *      2. settings file, `setting.js` or `--settings=<file>`
+ *      3. `.env` file in working folder
+ *      4. environment variables
+ * Environment variables (and `.env`) are named `SUNCLOVER_` + the key path joined by `__`, e.g.
+ * `SUNCLOVER_DATABASE__SQL__PASSWORD` sets `database.sql.password`. Key names are matched
+ * ignoring case and underscores, values are converted to the type of the value they replace
+ * (JSON for arrays and objects). The result is checked against SCHEMA on startup. */
+
+require('dotenv').config(); // does not override variables that are already set
 
 const _ = require('lodash');
+const util = require('util');
 const log4js = require('log4js');
+const cmContext = require('./common/context');
+const cmValidator = require('./common/validator');
 const log = log4js.getLogger('Configuration');
 log.level = 'info';
 
+const ENV_PREFIX = 'SUNCLOVER_';
+const SECRET_KEY = /password|secret|apikey|apitoken|^pass$|^token$/i; // values masked in logs
+
 const DEFAULTS = Object.freeze({
     timezone: '+08:00',
     timeZoneString: 'Asia/Singapore',
@@ -24,6 +42,7 @@ const DEFAULTS = Object.freeze({
         name: 'Ezy2Ship-Kiosk-Api',
         isSandbox: true,
         isHttps: _.includes(process.argv, 'https'),
+        shutdownTimeout: 30, // on SIGTERM/SIGINT, wait this long for running requests before closing their connections
         domain: '',
         frontendUrl: '',
         http: {
@@ -38,6 +57,22 @@ const DEFAULTS = Object.freeze({
                 intermediates: [], // .crt file extension
             },
         },
+        cookie: {
+            secretKey: '', // sign cookies when set
+        },
+        csrf: {
+            // https://github.com/expressjs/csurf#cookie
+            cookie: {
+                key: '_csrf', // cookie holding the token secret
+                httpOnly: true,
+                sameSite: 'strict',
+                get secure() {
+                    // @private
+                    return DEFAULTS.server.isHttps;
+                },
+            },
+            tokenCookie: 'XSRF-TOKEN', // cookie holding the token for client to send back
+        },
         limition: {
             json: '50mb',
             urlencoded: '50mb',
@@ -47,22 +82,91 @@ const DEFAULTS = Object.freeze({
             // https://github.com/expressjs/cors#configuration-options
             credentials: true,
             methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE'],
-            exposedHeaders: ['Content-Disposition'],
+            exposedHeaders: ['Content-Disposition', 'X-Request-Id'],
             origin: [''],
         },
         urls: {
             default: '/', // "/" will be redirected to this path
             static: [],
             web_routers: [
+                { public: true, path: '/auth', file: './src/data/auth/auth-router' }, // login, no auth
+                { csrf: false, path: '/auth', file: './src/data/auth/auth-router' },
                 { csrf: false, path: '/role', file: './src/data/role/role-router' }, // csrf service
+                { csrf: false, path: '/user', file: './src/data/user/user-router' },
+                { csrf: false, path: '/audit', file: './src/data/audit/audit-router' },
+                { csrf: false, path: '/file', file: './src/data/file/file-router' },
+                { csrf: false, path: '/report', file: './src/data/report/report-router' },
+                { public: true, path: '/otp', file: './src/data/otp/otp-router' },
+                { public: true, path: '/health', file: './src/data/health/health-router' }, // liveness and readiness probes
             ],
         },
     },
     provider: {},
+    metrics: {
+        // Prometheus metrics, https://prometheus.io/docs/instrumenting/exposition_formats/
+        enabled: false,
+        path: '/metrics',
+        token: '', // bearer token scrapers must send, without it the endpoint is open and must be restricted at proxy or network level
+        prefix: 'sunclover_', // prepended to every metric name
+        defaultMetrics: true, // process cpu, memory, event loop lag, GC
+        buckets: {
+            http: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], // request latency in seconds
+            db: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1], // query duration in seconds
+        },
+    },
+    audit: {
+        // record every create, update and delete made while handling a request, see src/service/audit.js
+        enabled: true,
+        ignoredModels: ['otp'], // models whose changes are not recorded, `audit` itself is never recorded
+        maskedFields: ['password', 'token_version'], // recorded as changed, but never with their value
+    },
+    upload: {
+        // files uploaded through `/file/upload`, see src/service/upload.js
+        root: '', // folder to store files in, by month (YYYY/MM), default is `<tempFolder>/upload`
+        purposes: {
+            // allowed size in bytes and types (detected from content) per purpose of upload
+            file: {
+                maxSize: 5242880,
+                types: ['jpg', 'png', 'gif', 'webp', 'pdf'],
+            },
+            avatar: {
+                maxSize: 1048576,
+                types: ['jpg', 'png', 'gif', 'webp'],
+            },
+        },
+    },
+    report: {
+        // quarter reports, see src/data/report
+        startQuarter: '', // first quarter that can be reported on, e.g. 'Q1-2022', default is Q1 of two years ago
+    },
     sms: {
-        nexmo: {},
-        sinch: {},
-        wavecell: {},
+        provider: 'file', // nexmo | sinch | wavecell | file | console
+        from: '', // sender id or number
+        retry: {
+            attempts: 3, // tries per message, including the first one
+            delay: 2, // seconds before next try, multiplied by the number of tries so far
+        },
+        nexmo: {
+            // https://developer.vonage.com/en/api/sms
+            url: 'https://rest.nexmo.com/sms/json',
+            apiKey: '',
+            apiSecret: '',
+        },
+        sinch: {
+            // https://developers.sinch.com/docs/sms/api-reference/sms/tag/Batches
+            url: 'https://sms.api.sinch.com/xms/v1',
+            servicePlanId: '',
+            apiToken: '',
+        },
+        wavecell: {
+            // https://developer.8x8.com/connect/reference/send-sms-single
+            url: 'https://api.wavecell.com/sms/v1',
+            subAccountId: '',
+            apiKey: '',
+        },
+        file: {
+            folder: '', // folder to write messages in, default is `<tempFolder>/sms`
+        },
     },
     database: {
         sql: {
@@ -71,12 +175,13 @@ const DEFAULTS = Object.freeze({
             password: '',
             host: '',
             port: '',
-            dialect: '',
+            dialect: '', // mysql | sqlite
             database: '',
+            storage: '', // sqlite only, database file or ':memory:'
             expiration: 24 * 60 * 60,
             clearExpired: false,
             get timezone() {
-                // @private
+                // @private, not supported by sqlite
                 return DEFAULTS.timezone;
             },
             pool: {
@@ -85,19 +190,35 @@ const DEFAULTS = Object.freeze({
                 acquire: 30000, // maximum time, in milliseconds, that pool will try to get connection before throwing error
                 idle: 10000, //  maximum time, in milliseconds, that a connection can be idle before being released
             },
+            custom: {
+                // create missing tables from models on startup, for local development and tests only.
+                // Other environments should run migrations (`npm run migrate`)
+                sync: false,
+            },
         },
     },
     auth: {
+        admin: {
+            // first administrator, created by `npm run seed` when there is none
+            email: '',
+            password: '', // must meet `auth.password` policy, set through environment rather than settings file
+        },
         login: {
-            maxFailAttempts: 5,
-            waitingTimeAfterLocked: 60,
+            maxFailAttempts: 5, // consecutive failed logins before account is locked
+            waitingTimeAfterLocked: 60, // seconds an account stays locked
         },
         otp: {
+            length: 6,
+            maxAttempts: 5, // entries before code stops working
+            resendAfter: 60, // seconds before another code is sent to the same email or phone
+            maxPerHour: 5, // codes sent to the same email or phone in an hour
+            // character classes of code
             digits: true,
             alphabets: false,
             specialchars: false,
             uppercase: false,
             expiretime: {
+                // seconds a code is valid, per purpose
                 default: 60,
                 forgotpin: 60,
                 changeemail: 300,
@@ -106,17 +227,23 @@ const DEFAULTS = Object.freeze({
         password: {
             complex: true, // force new passwords to be complex
             length: 8,
-            default: false, // set false to randomise password and send password via email
+            default: false, // set false to randomise password and send password via email, or a string to use as password
         },
         token: {
-            key: 'x-access-token',
+            key: 'x-access-token', // request header, `Authorization: Bearer <token>` is also accepted
+            secret: '', // secret to sign JWT with, MUST be set in settings file
+            algorithm: 'HS256',
             valid: {
                 all: 24 * 60 * 60,
+                refresh: 7 * 24 * 60 * 60,
             },
         },
         session: {
+            enabled: false, // set true to allow login by server-side session (cookie) besides token
+            name: 'sid', // session cookie name
+            secret: '', // secret to sign session cookie with, MUST be set if session is enabled
             valid: {
-                all: 15 * 60,
+                all: 15 * 60, // idle time before session expires
             },
         },
     },
@@ -128,16 +255,25 @@ const DEFAULTS = Object.freeze({
             cc: [], // forward all sent email to this list of email addresses
         },
         emailfrom: '',
-        config: {},
+        transport: 'smtp', // smtp = send via `config`, outbox = write .eml files to `outbox` folder
+        outbox: '', // default is `<tempFolder>/outbox`
+        config: {
+            // https://nodemailer.com/smtp/, e.g. { host, port, secure, auth: { user, pass } }
+        },
     },
     features: {
         file_offline: {
-            file_temp: '',
-            file_csv: '',
+            // CSV import and export of users and roles, see src/service/csv.js
+            file_temp: '', // folder uploaded CSV files are written to while imported, default is `<tempFolder>/csv-temp`
+            file_csv: '', // folder imported CSV files are kept in, by month (YYYY/MM), default is `<tempFolder>/csv`
+            maxSize: 10485760, // bytes
+            maxRows: 10000, // rows of one import, all rows are validated before anything is imported
         },
     },
     log: {
     // https://github.com/log4js-node/log4js-node/tree/master/docs
+        format: 'text', // text | json (one JSON object per line, for log collectors)
+        requestIdHeader: 'X-Request-Id', // id of request is taken from this header if sent, and always returned in it
         appenders: {
             console: { type: 'console' }, // log to console (windows)
             stdout: { type: 'stdout' }, // log to console (linux)
@@ -169,6 +305,28 @@ const DEFAULTS = Object.freeze({
     },
 });
 
+const isHttps = (config) => config.server.isHttps;
+const isMysql = (config) => config.database.sql.dialect === 'mysql';
+
+// rules of common/validator.js, `when` limits a rule to some setups
+const SCHEMA = Object.freeze([
+    { key: 'server.shutdownTimeout', rules: { type: 'number', required: true, min: 0 } },
+    { key: 'server.http.port', rules: { type: 'integer', required: true, min: 1, max: 65535 } },
+    { key: 'server.https.port', rules: { type: 'integer', required: true, min: 1, max: 65535 }, when: isHttps },
+    { key: 'server.https.ssl.key', rules: { type: 'string', required: true }, when: isHttps },
+    { key: 'server.https.ssl.cert', rules: { type: 'string', required: true }, when: isHttps },
+    { key: 'metrics.path', rules: { type: 'string', required: true }, when: (config) => config.metrics.enabled === true },
+    { key: 'log.format', rules: { type: 'string', required: true, enum: ['text', 'json'] } },
+    { key: 'log.requestIdHeader', rules: { type: 'string', required: true } },
+    { key: 'database.sql.dialect', rules: { type: 'string', required: true, enum: ['mysql', 'sqlite'] } },
+    { key: 'database.sql.host', rules: { type: 'string', required: true }, when: isMysql },
+    { key: 'database.sql.port', rules: { type: 'integer', min: 1, max: 65535 }, when: isMysql },
+    { key: 'database.sql.username', rules: { type: 'string', required: true }, when: isMysql },
+    { key: 'database.sql.database', rules: { type: 'string', required: true }, when: isMysql },
+    { key: 'auth.token.secret', rules: { type: 'string', required: true } },
+    { key: 'auth.session.secret', rules: { type: 'string', required: true }, when: (config) => config.auth.session.enabled === true },
+]);
+
 let configuration = DEFAULTS;
 
 let userSettingsFile = global.settings || 'setting.js';
@@ -194,6 +352,12 @@ exports.get = function _getConfiguration(key, defaultValue) {
     return key ? value : configuration;
 };
 
+/**
+ * Returns system configuration that is safe to log
+ * @returns {Object}  Full system configuration list, with secrets (passwords, keys, tokens) masked
+ */
+exports.getMasked = () => _mask(configuration);
+
 /**
  * Set system configuration, inclusive of user-specific settings file. This file is to ensure
  * that the settings/configuration always have default values for the system files to use.
@@ -201,19 +365,132 @@ exports.get = function _getConfiguration(key, defaultValue) {
  * @returns {void}
  */
 function _setConfiguration(userSettings) {
-    configuration = Object.freeze(_.merge({}, DEFAULTS, userSettings));
+    const merged = _.merge({}, DEFAULTS, userSettings);
+    _applyEnvironment(merged, process.env);
+    configuration = Object.freeze(merged);
 
-    // standardise log layout
+    // standardise log layout, every line carries id of the request it was written for (see common/context.js)
+    log4js.addLayout('json', () => _formatJsonLog);
     _.each(configuration.log.appenders, (appender) => {
-        appender.layout = {
+        appender.layout = configuration.log.format === 'json' ? { type: 'json' } : {
             type: 'pattern',
-            pattern: '%[[%d] [%p] {%x{lineNo}} %]\n<%c> %m',
+            pattern: '%[[%d] [%p] {%f{2}:%l} [%x{requestId}] %]\n<%c> %m',
             tokens: {
-                lineNo: () => new Error().stack.split('\n')[16],
+                requestId: () => cmContext.getRequestId() || '-',
             },
         };
     });
+    // caller file and line of every log (`%f`, `%l`)
+    _.each(configuration.log.categories, (category) => {
+        category.enableCallStack = true;
+    });
 
-    log4js.configure(configuration.log);
+    log4js.configure(_.omit(configuration.log, ['format', 'requestIdHeader']));
+
+    const errors = _validate(configuration);
+    if (!_.isEmpty(errors)) {
+        const message = `Invalid configuration:\n    ${errors.join('\n    ')}`;
+        log.fatal(message);
+        throw new Error(message);
+    }
+    log.info(`Configuration: ${JSON.stringify(_mask(configuration))}`);
     return this;
 }
+
+/**
+ * Layout of `log.format` json
+ * @param {Object} logEvent  log4js logging event
+ * @returns {String}  One line JSON
+ */
+function _formatJsonLog(logEvent) {
+    return JSON.stringify({
+        time: logEvent.startTime.toISOString(),
+        level: logEvent.level.levelStr,
+        category: logEvent.categoryName,
+        requestId: cmContext.getRequestId(),
+        file: logEvent.fileName ? `${logEvent.fileName}:${logEvent.lineNumber}` : undefined,
+        message: util.format(...logEvent.data),
+    });
+}
+
+/**
+ * Override configuration with `SUNCLOVER_` environment variables
+ * @param {Object} config  Configuration to change
+ * @param {Object} env  Environment variables
+ * @returns {void}
+ */
+function _applyEnvironment(config, env) {
+    _.each(env, (text, name) => {
+        if (!_.startsWith(name, ENV_PREFIX) || name === ENV_PREFIX) {
+            return;
+        }
+
+        // resolve every segment to the existing key it names, e.g. SECRETKEY => secretKey
+        let node = config;
+        const keyPath = _.map(name.slice(ENV_PREFIX.length).split('__'), (segment) => {
+            const key = _.find(_.isPlainObject(node) ? _.keys(node) : [], (item) => _normalizeKey(item) === _normalizeKey(segment)) || _.camelCase(segment);
+            node = _.get(node, key);
+            return key;
+        });
+
+        _.set(config, keyPath, _parseEnvironmentValue(text, _.get(config, keyPath)));
+    });
+}
+
+/**
+ * Convert an environment variable to the type of the value it replaces
+ * @param {String} text  Environment variable value
+ * @param {any} current  Current configuration value
+ * @returns {any}  New configuration value
+ */
+function _parseEnvironmentValue(text, current) {
+    if (_.isNumber(current)) {
+        return Number(text);
+    } else if (_.isBoolean(current) && _.includes(['true', 'false'], _.toLower(text))) {
+        return _.toLower(text) === 'true';
+    } else if (_.isString(current) || _.isBoolean(current)) {
+        return text;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+function _normalizeKey(key) {
+    return _.toLower(_.replace(key, /_/g, ''));
+}
+
+/**
+ * Check configuration against SCHEMA
+ * @param {Object} config  Configuration
+ * @returns {String[]}  Error messages, empty if configuration is valid
+ */
+function _validate(config) {
+    return _.reduce(SCHEMA, (errors, { key, rules, when }) => {
+        if (_.isNil(when) || when(config)) {
+            const message = cmValidator.checkValue(_.get(config, key), rules);
+            if (!_.isNil(message)) {
+                errors.push(`${key} ${message}`);
+            }
+        }
+        return errors;
+    }, []);
+}
+
+/**
+ * Copy a configuration value with secrets masked
+ * @param {any} value  Configuration value
+ * @param {String} [key]  Key of value
+ * @returns {any}  Copy of value
+ */
+function _mask(value, key) {
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, _mask);
+    } else if (_.isArray(value)) {
+        return _.map(value, (item) => _mask(item));
+    }
+    return (SECRET_KEY.test(key) && _.isString(value) && !_.isEmpty(value)) ? '******' : value;
+}
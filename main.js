@@ -7,22 +7,66 @@ const _ = require('lodash');
 const http = require('http');
 const https = require('https');
 const cmUtils = require('./common/utils');
+const SQL = require('./src/sql');
 const mainApp = require('./app');
 const configuration = require('./configuration');
 
-require('dotenv').config();
-
 (async () => {
     try {
         // ============= initialize web server
         const { app } = await mainApp;
-        await _createServer(app);
+        const server = await _createServer(app);
+        _setupGracefulShutdown(app, server);
     } catch (err) {
         log.fatal(err);
-        process.exit();
+        process.exit(1);
     }
 })();
 
+/**
+ * Stop the server on SIGTERM/SIGINT or an uncaught exception: fail readiness, stop accepting
+ * connections, wait for running requests (up to `server.shutdownTimeout`), then close database pool.
+ * @param {Object} app  Express app
+ * @param {Object} server  Listening http/https server
+ * @returns {void}
+ */
+function _setupGracefulShutdown(app, server) {
+    const shutdown = async (reason, exitCode) => {
+        if (app.locals.shuttingDown) {
+            return; // already shutting down
+        }
+        app.locals.shuttingDown = true;
+        log.info(`<Shutdown> ${reason}, closing server.`);
+
+        const timeout = configuration.get('server.shutdownTimeout');
+        const timer = setTimeout(() => {
+            log.warn(`<Shutdown> Requests are still running after ${timeout} seconds, closing their connections.`);
+            server.closeAllConnections();
+        }, timeout * 1000);
+
+        try {
+            await new Promise((resolve, reject) => {
+                server.close((err) => (err ? reject(err) : resolve()));
+                server.closeIdleConnections(); // idle keep-alive connections would hold `close()` open
+            });
+            clearTimeout(timer);
+            await SQL.sequelize.close();
+            log.info('<Shutdown> Server and database connections are closed.');
+        } catch (err) {
+            log.error('<Shutdown> Unable to shut down gracefully', err);
+            exitCode = 1;
+        }
+        process.exit(exitCode);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM received', 0));
+    process.on('SIGINT', () => shutdown('SIGINT received', 0));
+    process.on('uncaughtException', (err) => {
+        log.fatal('Uncaught Exception at', err);
+        shutdown('Uncaught exception', 1);
+    });
+}
+
 async function _createServer(app) {
     const timeout = 24 * 3600 * 1000; // set timeout for waiting response = 1 day
     // const timeout = 60; // set timeout for waiting response = 1 minute
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * @fileoverview Database migration command line, see src/migration.
+ * usage: node migrate <command> [--to=<file name>] [--step=<n>] [--settings=<settings file>]
+ *      up          apply pending migrations, up to `--to` if set
+ *      down        revert the last `--step` (default 1) migrations, or down to and including `--to`
+ *      status      list migrations and when they were applied
+ *      seed        apply pending seeders
+ *      seed:undo   revert the last `--step` seeders, or down to and including `--to`
+ *      seed:status list seeders and when they were applied */
+
+const log = require('log4js').getLogger('Migrate');
+require('module-alias/register');
+
+const _ = require('lodash');
+const SQL = require('./src/sql');
+const migration = require('./src/migration');
+
+const COMMANDS = Object.freeze({
+    'up': (options) => migration.migrations.up(options),
+    'down': (options) => migration.migrations.down(options),
+    'status': () => migration.migrations.status(),
+    'seed': (options) => migration.seeders.up(options),
+    'seed:undo': (options) => migration.seeders.down(options),
+    'seed:status': () => migration.seeders.status(),
+});
+
+(async () => {
+    const command = process.argv[2];
+    let exitCode = 0;
+
+    try {
+        if (!_.has(COMMANDS, command)) {
+            throw new Error(`Unknown command "${command}", expected one of: ${_.keys(COMMANDS).join(', ')}`);
+        }
+
+        await SQL.ready;
+        const result = await COMMANDS[command](_getOptions());
+        if (_.endsWith(command, 'status')) {
+            _.each(result, ({ name, appliedAt }) => {
+                log.info(`${appliedAt ? `[x] ${name} (${new Date(appliedAt).toISOString()})` : `[ ] ${name}`}`);
+            });
+        } else {
+            log.info(`${command} done, ${result.length} file(s): ${result.join(', ') || '-'}`);
+        }
+    } catch (err) {
+        log.fatal(err);
+        exitCode = 1;
+    }
+
+    await SQL.sequelize.close();
+    process.exit(exitCode);
+})();
+
+function _getOptions() {
+    const options = {};
+    _.each(process.argv.slice(3), (arg) => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'to') {
+            options.to = value;
+        } else if (key === 'step') {
+            options.step = Number(value);
+        }
+    });
+    return options;
+}
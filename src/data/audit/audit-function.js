@@ -0,0 +1,44 @@
+const SQL = require('../../sql');
+const listQuery = require('../../../common/list-query');
+const configuration = require('../../../configuration');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const _ = require('lodash');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.getListAudit = async (req, res, next) => {
+    try {
+        const { entity, entity_id, action, from, to } = req.query;
+
+        // matched exactly, unlike the partial match of text filters in list-query
+        const where = _.omitBy({ entity, entity_id, action }, _.isNil);
+        if (!_.isNil(from)) {
+            where.created_at = Object.assign({}, where.created_at, { [Op.gte]: _parseDate(from, false) });
+        }
+        if (!_.isNil(to)) {
+            where.created_at = Object.assign({}, where.created_at, { [Op.lte]: _parseDate(to, true) });
+        }
+
+        req.answer = await listQuery.findPage(SQL.audit, req.query, {
+            defaultSort: 'created_at',
+            reserved: ['entity', 'entity_id', 'action', 'from', 'to'],
+            exclude: ['before', 'after'],
+            findOptions: {
+                where: where,
+            },
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+// a day without time is a whole day in `timezone`
+function _parseDate(value, endOfDay) {
+    if (DATE_ONLY.test(value)) {
+        const day = moment.utc(value).utcOffset(configuration.get('timezone'), true);
+        return (endOfDay ? day.endOf('day') : day).toDate();
+    }
+    return moment(value, moment.ISO_8601).toDate();
+}
@@ -0,0 +1,20 @@
+'use strict';
+
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const audit = require('./audit-function');
+const schema = require('./audit-schema');
+const permission = require('../../../common/permission');
+const validator = require('../../../common/validator');
+const router = express.Router(); // not protected from csrf
+const csrfRouter = express.Router(); // protected from csrf
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.NO_CSRF) {
+        return router;
+    } else if (routerType === cmEnum.RouterType.WITH_CSRF) {
+        return csrfRouter;
+    }
+};
+
+router.get('/all', permission.check(cmEnum.Permission.AUDIT_VIEW), validator.validate(schema.listAudit), audit.getListAudit);
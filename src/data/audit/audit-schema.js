@@ -0,0 +1,15 @@
+'use strict';
+
+const _ = require('lodash');
+const audit = require('../../service/audit');
+
+exports.listAudit = {
+    query: {
+        entity: { type: 'string', maxLength: 100 },
+        entity_id: { type: 'string', maxLength: 100 },
+        action: { type: 'string', enum: _.values(audit.Action) },
+        actor_id: { type: 'integer' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+    },
+};
@@ -0,0 +1,246 @@
+const SQL = require('../../sql');
+const _ = require('lodash');
+const log = require('log4js').getLogger('App');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const configuration = require('../../../configuration');
+const cmAuth = require('../../../common/auth');
+const cmCsrf = require('../../../common/csrf');
+const cmSession = require('../../../common/session');
+const cmPassword = require('../../../common/password');
+const otp = require('../../service/otp');
+
+exports.login = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { email, password } = req.body;
+
+        const data = _.isEmpty(email) ? null : await SQL.user.scope({ method: ['email', email] }).findOne();
+
+        if (_.isNil(data) || _.isEmpty(data.password)) {
+            error.code = '004004';
+            error.status = 401;
+            throw error;
+        };
+
+        _checkLocked(data, res);
+
+        if (!(await cmPassword.verify(password, data.password))) {
+            await _registerFailedLogin(data);
+            _checkLocked(data, res);
+
+            error.code = '004004';
+            error.status = 401;
+            throw error;
+        };
+
+        if (data.failed_attempts > 0 || !_.isNil(data.locked_until)) {
+            await data.update({ failed_attempts: 0, locked_until: null });
+        };
+
+        if (cmSession.isEnabled()) {
+            await cmSession.start(req, data);
+        };
+
+        req.answer = Object.assign({ user: data }, cmAuth.signTokens(data));
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.refreshToken = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const data = await cmAuth.verifyToken(refreshToken, cmAuth.TokenType.REFRESH);
+
+        req.answer = cmAuth.signTokens(data);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.logout = async (req, res, next) => {
+    try {
+        // revoke every token issued to the user so far
+        await SQL.user.increment('token_version', {
+            where: {
+                id: req.user.id,
+            },
+        });
+
+        await cmSession.end(req);
+
+        req.answer = { id: req.user.id };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getProfile = async (req, res, next) => {
+    try {
+        req.answer = await SQL.user.findByPk(req.user.id);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.changePassword = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { oldPassword, newPassword } = req.body;
+
+        const data = await SQL.user.findByPk(req.user.id);
+
+        if (!(await cmPassword.verify(oldPassword, data.password))) {
+            error.code = '004009';
+            throw error;
+        };
+
+        if (oldPassword === newPassword) {
+            error.code = '004010';
+            throw error;
+        };
+
+        cmPassword.checkPolicy(newPassword);
+
+        // log out every other device, current client gets new tokens below
+        await data.update({
+            password: await cmPassword.hash(newPassword),
+            token_version: data.token_version + 1,
+        });
+
+        if (cmSession.isEnabled() && req.session) {
+            await cmSession.start(req, data);
+        };
+
+        req.answer = cmAuth.signTokens(data);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.forgotPin = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { target, code, newPassword } = req.body;
+
+        const data = _.isEmpty(target) ? null : await SQL.user.findOne({
+            where: {
+                [Op.or]: [{ email: target }, { phone: target }],
+            },
+        });
+
+        if (_.isNil(data)) {
+            error.code = '005002';
+            throw error;
+        };
+
+        cmPassword.checkPolicy(newPassword);
+
+        await otp.verify('forgotpin', target, code);
+
+        await data.update({
+            password: await cmPassword.hash(newPassword),
+            token_version: data.token_version + 1,
+            failed_attempts: 0,
+            locked_until: null,
+        });
+
+        req.answer = { id: data.id };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.changeEmail = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { email, code } = req.body;
+
+        const used = await SQL.user.scope({ method: ['email', email] }).findOne({ paranoid: false });
+
+        if (!_.isNil(used)) {
+            error.code = '002006';
+            throw error;
+        };
+
+        // code is sent to the new address to prove it belongs to the user
+        await otp.verify('changeemail', email, code);
+
+        const data = await SQL.user.findByPk(req.user.id);
+        await data.update({ email: email });
+
+        req.answer = data;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getCsrfToken = async (req, res, next) => {
+    try {
+        req.answer = { csrfToken: cmCsrf.issueToken(req, res) };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Reject login if account is locked
+ * @param {Object} user  `user` model instance
+ * @param {Response} res  Express response, `Retry-After` header is set if locked
+ * @returns {void}  Throws error code `004006` if account is locked
+ */
+function _checkLocked(user, res) {
+    const error = new Error();
+    const seconds = Math.ceil(moment(user.locked_until).diff(moment(), 'milliseconds') / 1000);
+
+    if (!_.isNil(user.locked_until) && seconds > 0) {
+        res.set('Retry-After', seconds);
+        error.code = '004006';
+        error.status = 423;
+        error.params = { seconds: seconds };
+        throw error;
+    };
+}
+
+/**
+ * Count a failed login, and lock the account for `auth.login.waitingTimeAfterLocked` seconds
+ * once `auth.login.maxFailAttempts` is reached. Counting and locking are done in the database,
+ * so parallel attempts are all counted.
+ * @async
+ * @param {Object} user  `user` model instance, reloaded with the new count and lock
+ * @returns {Promise<void>}
+ */
+async function _registerFailedLogin(user) {
+    const maxFailAttempts = configuration.get('auth.login.maxFailAttempts');
+
+    await SQL.user.increment('failed_attempts', {
+        where: {
+            id: user.id,
+        },
+    });
+
+    const [locked] = await SQL.user.update({
+        failed_attempts: 0,
+        locked_until: moment().add(configuration.get('auth.login.waitingTimeAfterLocked'), 'seconds').toDate(),
+    }, {
+        where: {
+            id: user.id,
+            failed_attempts: { [Op.gte]: maxFailAttempts },
+        },
+    });
+
+    if (locked > 0) {
+        log.warn(`<Login> Account ${user.id} is locked after ${maxFailAttempts} failed attempts`);
+    };
+    await user.reload();
+}
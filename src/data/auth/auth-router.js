@@ -0,0 +1,28 @@
+'use strict';
+
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const auth = require('./auth-function');
+const schema = require('./auth-schema');
+const validator = require('../../../common/validator');
+const cmCsrf = require('../../../common/csrf');
+const publicRouter = express.Router(); // no authentication
+const router = express.Router(); // not protected from csrf
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.NO_CSRF) {
+        return router;
+    } else if (routerType === cmEnum.RouterType.PUBLIC) {
+        return publicRouter;
+    }
+};
+
+publicRouter.post('/login', auth.login);
+publicRouter.post('/refresh', auth.refreshToken);
+publicRouter.get('/csrf-token', cmCsrf.protection, auth.getCsrfToken);
+publicRouter.post('/forgot-pin', auth.forgotPin);
+
+router.post('/logout', auth.logout);
+router.get('/me', auth.getProfile);
+router.post('/change-password', auth.changePassword);
+router.post('/change-email', validator.validate(schema.changeEmail), auth.changeEmail);
\ No newline at end of file
@@ -0,0 +1,8 @@
+'use strict';
+
+exports.changeEmail = {
+    body: {
+        email: { type: 'string', required: true, format: 'email', maxLength: 255 },
+        code: { type: 'string', required: true },
+    },
+};
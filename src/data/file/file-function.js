@@ -0,0 +1,136 @@
+const SQL = require('../../sql');
+const upload = require('../../service/upload');
+const cmEnum = require('../../../common/enum');
+const permission = require('../../../common/permission');
+const multer = require('multer');
+const _ = require('lodash');
+
+// multipart content is kept in memory, it is checked before being written to disk
+const receive = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: upload.getMaxSize(),
+        files: 1,
+    },
+}).single('file');
+
+exports.receiveFile = (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+        return next(); // base64 content in json body
+    };
+
+    receive(req, res, (err) => {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            const error = new Error();
+            error.code = '010002';
+            error.status = 413;
+            error.params = { maxSize: upload.getMaxSize() };
+            return next(error);
+        };
+        next(err);
+    });
+};
+
+exports.uploadFile = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { purpose, name, data } = req.body;
+
+        const buffer = _.isNil(req.file) ? (_.isNil(data) ? null : upload.decodeBase64(data)) : req.file.buffer;
+        if (_.isNil(buffer)) {
+            error.code = '010001';
+            error.status = 400;
+            throw error;
+        };
+
+        req.answer = await upload.save(buffer, {
+            purpose: purpose || 'file',
+            originalName: _.get(req.file, 'originalname', name),
+            uploadedBy: req.user.id,
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getFile = async (req, res, next) => {
+    try {
+        const data = await _findFile(req.params.fileId);
+        await _checkAccess(req.user, data);
+
+        req.answer = data;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.downloadFile = async (req, res, next) => {
+    try {
+        const data = await _findFile(req.params.fileId);
+        await _checkAccess(req.user, data);
+
+        // images are shown in browser, other files are downloaded
+        if (_.startsWith(data.mime_type, 'image/')) {
+            res.set('Content-Disposition', 'inline');
+        } else {
+            res.attachment(data.original_name || `file-${data.id}.${data.extension}`);
+        };
+        res.type(data.mime_type);
+        res.set('ETag', `"${data.checksum}"`);
+        res.sendFile(upload.getFilePath(data), (err) => {
+            if (err) {
+                next(err);
+            };
+        });
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Find a file by id
+ * @param {Number} fileId  Id of file
+ * @returns {Promise<Object>}  Row of table `file`. Rejects with error code `010004` if file does not exist
+ */
+async function _findFile(fileId) {
+    const error = new Error();
+    const data = await SQL.file.scope({ method: ['primaryKey', fileId] }).findOne();
+
+    if (_.isNil(data)) {
+        error.code = '010004';
+        throw error;
+    };
+    return data;
+}
+
+/**
+ * Make sure a user may see a file: files are private to their uploader, except avatars, which are
+ * seen by their user and by users who can view users. `file:view-any` gives access to every file.
+ * @param {Object} user  `req.user`
+ * @param {Object} data  Row of table `file`
+ * @returns {Promise<void>}  Rejects with error code `007001` if access is denied
+ */
+async function _checkAccess(user, data) {
+    const error = new Error();
+    if (data.uploaded_by === user.id) {
+        return;
+    };
+
+    const granted = await permission.getPermissions(user.role, [cmEnum.Permission.FILE_VIEW_ANY, cmEnum.Permission.USER_VIEW]);
+    if (_.includes(granted, cmEnum.Permission.FILE_VIEW_ANY)) {
+        return;
+    };
+
+    if (data.purpose === 'avatar') {
+        const ownAvatar = await SQL.user.count({ where: { id: user.id, avatar: data.id } }) > 0;
+        if (ownAvatar || _.includes(granted, cmEnum.Permission.USER_VIEW)) {
+            return;
+        };
+    };
+
+    error.code = '007001';
+    error.status = 403;
+    throw error;
+}
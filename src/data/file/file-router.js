@@ -0,0 +1,22 @@
+'use strict';
+
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const file = require('./file-function');
+const schema = require('./file-schema');
+const permission = require('../../../common/permission');
+const validator = require('../../../common/validator');
+const router = express.Router(); // not protected from csrf
+const csrfRouter = express.Router(); // protected from csrf
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.NO_CSRF) {
+        return router;
+    } else if (routerType === cmEnum.RouterType.WITH_CSRF) {
+        return csrfRouter;
+    }
+};
+
+router.post('/upload', permission.check(cmEnum.Permission.FILE_UPLOAD), file.receiveFile, validator.validate(schema.uploadFile), file.uploadFile);
+router.get('/detail/:fileId', permission.check(cmEnum.Permission.FILE_VIEW), validator.validate(schema.fileId), file.getFile);
+router.get('/:fileId', permission.check(cmEnum.Permission.FILE_VIEW), validator.validate(schema.fileId), file.downloadFile);
@@ -0,0 +1,18 @@
+'use strict';
+
+const upload = require('../../service/upload');
+
+exports.fileId = {
+    params: {
+        fileId: { type: 'integer', required: true },
+    },
+};
+
+// content is either a multipart part named `file`, or base64 in `data`
+exports.uploadFile = {
+    body: {
+        purpose: { type: 'string', enum: upload.getPurposes() },
+        name: { type: 'string', maxLength: 255 },
+        data: { type: 'string' },
+    },
+};
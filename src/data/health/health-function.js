@@ -0,0 +1,42 @@
+const log = require('log4js').getLogger('App');
+const SQL = require('../../sql');
+
+/**
+ * Liveness probe, answers as long as the process can serve requests
+ */
+exports.live = async (req, res, next) => {
+    try {
+        req.answer = { status: 'UP' };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Readiness probe, fails with status 503 while shutting down (see main.js) or if database
+ * cannot be reached, so no new traffic is routed to this instance
+ */
+exports.ready = async (req, res, next) => {
+    const error = new Error();
+    error.status = 503;
+    try {
+        if (req.app.locals.shuttingDown) {
+            error.code = '009001';
+            throw error;
+        };
+
+        try {
+            await SQL.sequelize.authenticate();
+        } catch (err) {
+            log.warn('Readiness check cannot connect to database', err);
+            error.code = '009002';
+            throw error;
+        };
+
+        req.answer = { status: 'UP' };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const health = require('./health-function');
+const publicRouter = express.Router(); // no authentication, probed by container orchestrator
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.PUBLIC) {
+        return publicRouter;
+    }
+};
+
+publicRouter.get('/live', health.live);
+publicRouter.get('/ready', health.ready);
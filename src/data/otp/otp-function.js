@@ -0,0 +1,54 @@
+const _ = require('lodash');
+const log = require('log4js').getLogger('App');
+const otp = require('../../service/otp');
+
+exports.requestOtp = async (req, res, next) => {
+    try {
+        const { purpose, target } = req.body;
+
+        log.info(purpose, target);
+
+        _checkRequest(purpose, target);
+
+        req.answer = await otp.send(purpose, target);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.verifyOtp = async (req, res, next) => {
+    try {
+        const { purpose, target, code } = req.body;
+
+        _checkRequest(purpose, target);
+
+        // code is used up by the flow it was issued for, e.g. `/auth/forgot-pin`
+        await otp.check(purpose, target, code);
+
+        req.answer = { verified: true };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Validate the purpose and target of an OTP request
+ * @param {String} purpose  OTP purpose
+ * @param {String} target  Email or phone
+ * @returns {void}  Throws error code `005001` or `005005` if not valid
+ */
+function _checkRequest(purpose, target) {
+    const error = new Error();
+
+    if (!otp.isValidPurpose(purpose)) {
+        error.code = '005001';
+        throw error;
+    };
+
+    if (!_.isString(target) || _.isEmpty(_.trim(target))) {
+        error.code = '005005';
+        throw error;
+    };
+}
\ No newline at end of file
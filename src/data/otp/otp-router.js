@@ -0,0 +1,15 @@
+'use strict';
+
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const otp = require('./otp-function');
+const publicRouter = express.Router(); // no authentication
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.PUBLIC) {
+        return publicRouter;
+    }
+};
+
+publicRouter.post('/request', otp.requestOtp);
+publicRouter.post('/verify', otp.verifyOtp);
\ No newline at end of file
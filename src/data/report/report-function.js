@@ -0,0 +1,116 @@
+const SQL = require('../../sql');
+const cmUtils = require('../../../common/utils');
+const configuration = require('../../../configuration');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const _ = require('lodash');
+
+exports.getQuarters = async (req, res, next) => {
+    try {
+        req.answer = cmUtils.prepareListQuaterYear();
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getHires = async (req, res, next) => {
+    try {
+        const months = _getMonths(req.query.quarter);
+        const counts = await Promise.all(_.map(months, ({ start, end }) => SQL.user.count({
+            where: {
+                start_day: { [Op.gte]: start, [Op.lt]: end },
+            },
+        })));
+        req.answer = _countByMonth(req.query.quarter, months, _.zipObject(_.map(months, 'month'), counts));
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getBirthdays = async (req, res, next) => {
+    try {
+        const months = _getMonths(req.query.quarter);
+        // birth is a calendar date, its stored month is counted in any timezone and year
+        const month = _monthOf('birth');
+        const rows = await SQL.user.findAll({
+            attributes: [[month, 'month'], [SQL.sequelize.fn('COUNT', SQL.sequelize.col('id')), 'total']],
+            where: SQL.sequelize.where(month, { [Op.in]: _.map(months, (item) => Number(item.month)) }),
+            group: [month],
+            raw: true,
+        });
+        const counts = _.fromPairs(_.map(rows, (row) => [_.padStart(row.month, 2, '0'), Number(row.total)]));
+        req.answer = _countByMonth(req.query.quarter, months, counts);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getHeadcount = async (req, res, next) => {
+    try {
+        const months = _getMonths(req.query.quarter);
+        const roles = await SQL.role.findAll({
+            attributes: ['role_code', 'role_name'],
+            order: [['role_code', 'ASC']],
+        });
+        // headcount per role at the end of each month, including users deleted since
+        const counts = await Promise.all(_.map(months, ({ end }) => SQL.user.count({
+            where: {
+                start_day: { [Op.lt]: end },
+                deleted_at: { [Op.or]: { [Op.is]: null, [Op.gte]: end } },
+            },
+            group: ['role'],
+            paranoid: false,
+        })));
+
+        req.answer = {
+            quarter: req.query.quarter,
+            months: _.map(months, ({ month, monthTitle }, index) => {
+                const totals = _.fromPairs(_.map(counts[index], (row) => [row.role, row.count]));
+                const counted = _.map(roles, (role) => ({
+                    role_code: role.role_code,
+                    role_name: role.role_name,
+                    total: totals[role.role_code] || 0,
+                }));
+                return { month, monthTitle, total: _.sumBy(counted, 'total'), roles: counted };
+            }),
+        };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+// months of quarter with their bounds in `timezone`, `end` is the start of the next month
+function _getMonths(quarter) {
+    const { month, year } = cmUtils.getMonthAndYearFromQuarter(quarter);
+    return _.map(month, (item) => {
+        const start = moment.utc(`${year}-${item}-01`).utcOffset(configuration.get('timezone'), true);
+        return {
+            month: item,
+            monthTitle: cmUtils.getMonthTitleByDateTime(start).monthTitle,
+            start: start.toDate(),
+            end: start.clone().add(1, 'month').toDate(),
+        };
+    });
+}
+
+// month (1-12) of a date column, as stored
+function _monthOf(column) {
+    if (SQL.sequelize.getDialect() === 'sqlite') {
+        return SQL.sequelize.cast(SQL.sequelize.fn('strftime', '%m', SQL.sequelize.col(column)), 'INTEGER');
+    }
+    return SQL.sequelize.fn('MONTH', SQL.sequelize.col(column));
+}
+
+// `counts` are keyed by month of quarter, e.g. `{ '01': 2 }`
+function _countByMonth(quarter, months, counts) {
+    const counted = _.map(months, ({ month, monthTitle }) => ({ month, monthTitle, total: counts[month] || 0 }));
+    return {
+        quarter: quarter,
+        months: counted,
+        total: _.sumBy(counted, 'total'),
+    };
+}
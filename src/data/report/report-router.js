@@ -0,0 +1,23 @@
+'use strict';
+
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const report = require('./report-function');
+const schema = require('./report-schema');
+const permission = require('../../../common/permission');
+const validator = require('../../../common/validator');
+const router = express.Router(); // not protected from csrf
+const csrfRouter = express.Router(); // protected from csrf
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.NO_CSRF) {
+        return router;
+    } else if (routerType === cmEnum.RouterType.WITH_CSRF) {
+        return csrfRouter;
+    }
+};
+
+router.get('/quarters', permission.check(cmEnum.Permission.REPORT_VIEW), report.getQuarters);
+router.get('/hires', permission.check(cmEnum.Permission.REPORT_VIEW), validator.validate(schema.quarter), report.getHires);
+router.get('/birthdays', permission.check(cmEnum.Permission.REPORT_VIEW), validator.validate(schema.quarter), report.getBirthdays);
+router.get('/headcount', permission.check(cmEnum.Permission.REPORT_VIEW), validator.validate(schema.quarter), report.getHeadcount);
@@ -0,0 +1,8 @@
+'use strict';
+
+// a key of `cmUtils.prepareListQuaterYear()`, checked by `cmUtils.getMonthAndYearFromQuarter()`
+exports.quarter = {
+    query: {
+        quarter: { type: 'string', required: true },
+    },
+};
@@ -1,11 +1,195 @@
 const SQL = require('../../sql');
+const listQuery = require('../../../common/list-query');
+const cmEnum = require('../../../common/enum');
+const permission = require('../../../common/permission');
+const csv = require('../../service/csv');
+const schema = require('./role-schema');
 const _ = require('lodash');
 const log = require('log4js').getLogger('App');
 
 exports.getListRoles = async (req, res, next) => {
     try {
-        const roles = await SQL.role.findAll({});
-        req.answer = roles;
+        req.answer = await listQuery.findPage(SQL.role, req.query);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.importRoles = async (req, res, next) => {
+    try {
+        req.answer = await csv.importFile(req.file, {
+            model: SQL.role,
+            columns: schema.importRole,
+            checkRows: _checkImportedRoles,
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.exportRoles = async (req, res, next) => {
+    try {
+        await csv.exportFile(res, {
+            model: SQL.role,
+            query: req.query,
+            columns: ['id', 'role_code', 'role_name', 'created_at', 'updated_at'],
+        });
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getRole = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleId } = req.params;
+
+        const data = await SQL.role.scope({ method: ['primaryKey', roleId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '001001';
+            throw error;
+        };
+
+        req.answer = data;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.createRole = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleCode, roleName } = req.body;
+
+        log.info(roleCode, roleName);
+
+        const existed = await SQL.role.findOne({
+            where: {
+                role_code: roleCode,
+            },
+        });
+
+        if (!_.isNil(existed)) {
+            error.code = '001003';
+            throw error;
+        };
+
+        const data = await SQL.role.create({
+            role_code: roleCode,
+            role_name: roleName,
+        });
+
+        req.answer = data;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.deleteRole = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleId } = req.params;
+
+        const data = await SQL.role.scope({ method: ['primaryKey', roleId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '001001';
+            throw error;
+        };
+
+        // users must be moved to another role first
+        const totalUsers = await data.countUsers();
+        if (totalUsers > 0) {
+            error.code = '001005';
+            error.params = { total: totalUsers };
+            throw error;
+        };
+
+        await SQL.sequelize.transaction(async (transaction) => {
+            await SQL.role_permission.destroy({
+                where: {
+                    role_code: data.role_code,
+                },
+                transaction: transaction,
+            });
+            await data.destroy({ transaction: transaction });
+        });
+
+        req.answer = { id: data.id };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getRoleUsers = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleId } = req.params;
+
+        const data = await SQL.role.scope({ method: ['primaryKey', roleId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '001001';
+            throw error;
+        };
+
+        req.answer = await listQuery.findPage(SQL.user, req.query, {
+            exclude: ['password', 'token_version'],
+            findOptions: {
+                where: {
+                    role: data.role_code,
+                },
+            },
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.assignRoleUsers = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleId } = req.params;
+        const { userIds } = req.body;
+
+        const data = await SQL.role.scope({ method: ['primaryKey', roleId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '001001';
+            throw error;
+        };
+
+        const ids = _.uniq(_.map(userIds, Number));
+        const totalUsers = _.isEmpty(ids) ? 0 : await SQL.user.count({
+            where: {
+                id: ids,
+            },
+        });
+
+        if (totalUsers !== ids.length) {
+            error.code = '001006';
+            throw error;
+        };
+
+        await SQL.user.update(
+            {
+                role: data.role_code,
+            },
+            {
+                where: {
+                    id: ids,
+                },
+            },
+        );
+
+        req.answer = { role: data.role_code, userIds: ids };
         next();
     } catch (err) {
         next(err);
@@ -15,7 +199,6 @@ exports.getListRoles = async (req, res, next) => {
 exports.updateRole = async (req, res, next) => {
     const error = new Error();
     try {
-        console.log(req)
         const { roleId } = req.params;
         const { roleName } = req.body;
 
@@ -32,11 +215,6 @@ exports.updateRole = async (req, res, next) => {
             throw error;
         };
 
-        if (_.isEmpty(roleName)) {
-            error.code = '001002';
-            throw error;
-        };
-
         await SQL.role.update(
             {
                 role_name: roleName,
@@ -60,4 +238,96 @@ exports.updateRole = async (req, res, next) => {
     } catch (err) {
         next(err);
     };
-}
\ No newline at end of file
+}
+
+exports.getPermissionList = async (req, res, next) => {
+    try {
+        req.answer = _.values(cmEnum.Permission);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.getRolePermissions = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleId } = req.params;
+
+        const data = await SQL.role.scope({ method: ['primaryKey', roleId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '001001';
+            throw error;
+        };
+
+        req.answer = await permission.getPermissions(data.role_code);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.updateRolePermissions = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { roleId } = req.params;
+        const { permissions } = req.body;
+
+        const data = await SQL.role.scope({ method: ['primaryKey', roleId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '001001';
+            throw error;
+        };
+
+        // caller can only grant or revoke permissions of their own, so `role:update` does not lead to every permission
+        const changed = _.xor(await permission.getPermissions(data.role_code), _.uniq(permissions));
+        if (!_.isEmpty(_.difference(changed, await permission.getPermissions(req.user.role)))) {
+            error.code = '007001';
+            error.status = 403;
+            throw error;
+        };
+
+        // replace the whole permission set of role
+        await SQL.sequelize.transaction(async (transaction) => {
+            await SQL.role_permission.destroy({
+                where: {
+                    role_code: data.role_code,
+                },
+                transaction: transaction,
+            });
+            await SQL.role_permission.bulkCreate(_.map(_.uniq(permissions), (item) => ({
+                role_code: data.role_code,
+                permission: item,
+            })), { transaction: transaction });
+        });
+
+        req.answer = await permission.getPermissions(data.role_code);
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Find imported roles whose role code is already used, by an existing role or an earlier row
+ * @param {Object[]} rows  `{ line, values }` of imported file
+ * @returns {Promise<Object[]>}  `{ line, field, message }` of every duplicated role code
+ */
+async function _checkImportedRoles(rows) {
+    const existed = await SQL.role.findAll({
+        attributes: ['role_code'],
+        where: {
+            role_code: _.uniq(_.compact(_.map(rows, 'values.role_code'))),
+        },
+    });
+    const used = new Set(_.map(existed, (item) => String(item.role_code)));
+
+    return _.compact(_.map(rows, ({ line, values }) => {
+        const roleCode = String(values.role_code);
+        const duplicated = used.has(roleCode);
+        used.add(roleCode);
+        return duplicated ? { line, field: 'role_code', message: 'already exists' } : undefined;
+    }));
+}
@@ -3,19 +3,30 @@
 const express = require('express');
 const cmEnum = require('../../../common/enum');
 const role = require('./role-function');
+const schema = require('./role-schema');
+const permission = require('../../../common/permission');
+const validator = require('../../../common/validator');
+const csv = require('../../service/csv');
 const router = express.Router(); // not protected from csrf
 const csrfRouter = express.Router(); // protected from csrf
-const tokenRouter = express.Router(); // protected from csrf
 
 exports.setup = (routerType) => {
-    if (routerType === cmEnum.RouterType.AUTH_BY_TOKEN_ONLY) {
-        return tokenRouter;
-    } else if (routerType === cmEnum.RouterType.NO_CSRF) {
+    if (routerType === cmEnum.RouterType.NO_CSRF) {
         return router;
     } else if (routerType === cmEnum.RouterType.WITH_CSRF) {
         return csrfRouter;
     }
 };
 
-router.get('/all', role.getListRoles);
-router.post('/update/:roleId', role.updateRole);
\ No newline at end of file
+router.get('/all', permission.check(cmEnum.Permission.ROLE_VIEW), role.getListRoles);
+router.get('/export', permission.check(cmEnum.Permission.ROLE_VIEW), role.exportRoles);
+router.post('/import', permission.check(cmEnum.Permission.ROLE_CREATE), csv.receive(), role.importRoles);
+router.get('/detail/:roleId', permission.check(cmEnum.Permission.ROLE_VIEW), validator.validate(schema.roleId), role.getRole);
+router.post('/create', permission.check(cmEnum.Permission.ROLE_CREATE), validator.validate(schema.createRole), role.createRole);
+router.post('/update/:roleId', permission.check(cmEnum.Permission.ROLE_UPDATE), validator.validate(schema.updateRole), role.updateRole);
+router.post('/delete/:roleId', permission.check(cmEnum.Permission.ROLE_DELETE), validator.validate(schema.roleId), role.deleteRole);
+router.get('/users/:roleId', permission.check(cmEnum.Permission.ROLE_VIEW, cmEnum.Permission.USER_VIEW), validator.validate(schema.roleId), role.getRoleUsers);
+router.post('/users/:roleId', permission.check(cmEnum.Permission.ROLE_UPDATE, cmEnum.Permission.USER_UPDATE), validator.validate(schema.assignRoleUsers), role.assignRoleUsers);
+router.get('/permissions', permission.check(cmEnum.Permission.ROLE_VIEW), role.getPermissionList);
+router.get('/permissions/:roleId', permission.check(cmEnum.Permission.ROLE_VIEW), validator.validate(schema.roleId), role.getRolePermissions);
+router.post('/permissions/:roleId', permission.check(cmEnum.Permission.ROLE_UPDATE), validator.validate(schema.updateRolePermissions), role.updateRolePermissions);
\ No newline at end of file
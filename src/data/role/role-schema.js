@@ -0,0 +1,46 @@
+'use strict';
+
+const _ = require('lodash');
+const cmEnum = require('../../../common/enum');
+
+const roleIdParams = {
+    roleId: { type: 'integer', required: true },
+};
+
+exports.roleId = {
+    params: roleIdParams,
+};
+
+exports.createRole = {
+    body: {
+        roleCode: { type: 'integer', required: true, code: '001004' },
+        roleName: { type: 'string', required: true, maxLength: 255, code: '001002' },
+    },
+};
+
+exports.updateRole = {
+    params: roleIdParams,
+    body: {
+        roleName: { type: 'string', required: true, maxLength: 255, code: '001002' },
+    },
+};
+
+exports.updateRolePermissions = {
+    params: roleIdParams,
+    body: {
+        permissions: { type: 'array', required: true, items: { type: 'string', enum: _.values(cmEnum.Permission) }, code: '007002' },
+    },
+};
+
+exports.assignRoleUsers = {
+    params: roleIdParams,
+    body: {
+        userIds: { type: 'array', required: true, minLength: 1, items: { type: 'integer' } },
+    },
+};
+
+// columns of an imported CSV file, see src/service/csv.js
+exports.importRole = {
+    role_code: exports.createRole.body.roleCode,
+    role_name: exports.createRole.body.roleName,
+};
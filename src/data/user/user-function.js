@@ -0,0 +1,416 @@
+const SQL = require('../../sql');
+const listQuery = require('../../../common/list-query');
+const cmPassword = require('../../../common/password');
+const mail = require('../../service/mail');
+const csv = require('../../service/csv');
+const xlsx = require('../../service/xlsx');
+const schema = require('./user-schema');
+const configuration = require('../../../configuration');
+const _ = require('lodash');
+const { Op } = require('sequelize');
+const log = require('log4js').getLogger('App');
+
+const XLSX_BATCH_SIZE = 500;
+const XLSX_COLUMNS = Object.freeze([
+    { header: 'ID', key: 'id', width: 8 },
+    { header: 'Name', key: 'user_name', width: 30 },
+    { header: 'State', key: 'state', width: 8 },
+    { header: 'Birth', key: 'birth', type: 'date', width: 12 },
+    { header: 'Start day', key: 'start_day', type: 'date', width: 12 },
+    { header: 'Phone', key: 'phone', width: 18 },
+    { header: 'Address', key: 'address', width: 40 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'Created at', key: 'created_at', type: 'datetime', width: 20 },
+]);
+
+exports.getListUser = async (req, res, next) => {
+    try {
+        req.answer = await listQuery.findPage(SQL.user, req.query, { exclude: ['password', 'token_version'] });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.importUsers = async (req, res, next) => {
+    try {
+        req.answer = await csv.importFile(req.file, {
+            model: SQL.user,
+            columns: schema.importUser,
+            checkRows: _checkImportedUsers,
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.exportUsers = async (req, res, next) => {
+    try {
+        await csv.exportFile(res, {
+            model: SQL.user,
+            query: req.query,
+            columns: ['id', 'user_name', 'state', 'birth', 'start_day', 'role', 'phone', 'address', 'email', 'created_at', 'updated_at'],
+        });
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.exportUsersXlsx = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { where, order } = listQuery.parse(SQL.user, req.query, { exclude: ['password', 'token_version'] });
+
+        // one sheet per role, or only the role filtered on
+        const roles = await SQL.role.findAll({
+            where: _.isNil(where.role) ? {} : { role_code: where.role },
+            order: [['role_code', 'ASC']],
+        });
+        if (_.isEmpty(roles)) {
+            error.code = '002005'; // a workbook must have a sheet
+            error.status = 404;
+            throw error;
+        };
+
+        const workbook = xlsx.createWorkbook(res, 'staff');
+        for (const role of roles) {
+            const sheet = workbook.addSheet(`${role.role_code} ${role.role_name}`, XLSX_COLUMNS);
+            for (let offset = 0; ; offset += XLSX_BATCH_SIZE) {
+                const users = await role.getUsers({
+                    where: where,
+                    order: order,
+                    limit: XLSX_BATCH_SIZE,
+                    offset: offset,
+                });
+                _.each(users, (user) => sheet.addRow(user.get({ plain: true })));
+                if (users.length < XLSX_BATCH_SIZE) {
+                    break;
+                };
+            }
+        }
+        await workbook.commit();
+    } catch (err) {
+        if (res.headersSent) {
+            return res.destroy(err); // workbook is partly sent, client gets a cut file
+        };
+        next(err);
+    };
+};
+
+exports.getUser = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { userId } = req.params;
+
+        const data = await SQL.user.scope({ method: ['primaryKey', userId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '002001';
+            throw error;
+        };
+
+        req.answer = data;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.createUser = async (req, res, next) => {
+    try {
+        const { userName, avatar, state, birth, startDay, role, phone, address, email, password } = req.body;
+
+        log.info(userName, role);
+
+        await _checkRoleExist(role);
+        await _checkAvatar(avatar);
+        await _checkEmailUnused(email);
+
+        // account without a chosen password gets a generated one
+        const temporaryPassword = _.isEmpty(password) ? cmPassword.generate() : undefined;
+        if (_.isEmpty(temporaryPassword)) {
+            cmPassword.checkPolicy(password);
+        };
+
+        const passwordHash = await cmPassword.hash(temporaryPassword || password);
+
+        // account is only kept once its generated password is delivered, so a failed mail can be retried
+        req.answer = await SQL.sequelize.transaction(async (transaction) => {
+            const data = await SQL.user.create({
+                user_name: userName,
+                avatar: avatar,
+                state: state,
+                birth: birth,
+                start_day: startDay,
+                role: role,
+                phone: phone,
+                address: address,
+                email: email,
+                password: passwordHash,
+            }, { transaction: transaction });
+
+            return _.isEmpty(temporaryPassword) ? data : Object.assign(data.toJSON(), await _deliverPassword(data, temporaryPassword, 'newAccount'));
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.updateUser = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { userId } = req.params;
+        const { userName, avatar, state, birth, startDay, role, phone, address, email } = req.body;
+
+        log.info(userId, userName);
+
+        const data = await SQL.user.scope({ method: ['primaryKey', userId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '002001';
+            throw error;
+        };
+
+        if (!_.isUndefined(role)) {
+            await _checkRoleExist(role);
+        };
+
+        if (!_.isUndefined(avatar)) {
+            await _checkAvatar(avatar);
+        };
+
+        if (!_.isUndefined(email)) {
+            await _checkEmailUnused(email, data.id);
+        };
+
+        // only fields sent by client are updated
+        await SQL.user.update(
+            _.omitBy({
+                user_name: userName,
+                avatar: avatar,
+                state: state,
+                birth: birth,
+                start_day: startDay,
+                role: role,
+                phone: phone,
+                address: address,
+                email: email,
+            }, _.isUndefined),
+            {
+                where: {
+                    id: userId,
+                },
+            },
+        );
+
+        const newData = await SQL.user.scope({ method: ['primaryKey', userId] }).findOne();
+
+        req.answer = newData;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.deleteUser = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { userId } = req.params;
+
+        const data = await SQL.user.scope({ method: ['primaryKey', userId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '002001';
+            throw error;
+        };
+
+        // `user` is paranoid, destroy only flags the row as deleted
+        await data.destroy();
+
+        req.answer = { id: data.id };
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.unlockUser = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { userId } = req.params;
+
+        const data = await SQL.user.scope({ method: ['primaryKey', userId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '002001';
+            throw error;
+        };
+
+        await data.update({ failed_attempts: 0, locked_until: null });
+
+        req.answer = data;
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+exports.resetPassword = async (req, res, next) => {
+    const error = new Error();
+    try {
+        const { userId } = req.params;
+
+        const data = await SQL.user.scope({ method: ['primaryKey', userId] }).findOne();
+
+        if (_.isNil(data)) {
+            error.code = '002001';
+            throw error;
+        };
+
+        const temporaryPassword = cmPassword.generate();
+        const passwordHash = await cmPassword.hash(temporaryPassword);
+
+        // old password keeps working if the new one cannot be delivered
+        req.answer = await SQL.sequelize.transaction(async (transaction) => {
+            // old password no longer works anywhere, so revoke tokens and unlock as well
+            await data.update({
+                password: passwordHash,
+                token_version: data.token_version + 1,
+                failed_attempts: 0,
+                locked_until: null,
+            }, { transaction: transaction });
+
+            return Object.assign({ id: data.id }, await _deliverPassword(data, temporaryPassword, 'resetPassword'));
+        });
+        next();
+    } catch (err) {
+        next(err);
+    };
+};
+
+/**
+ * Make sure the role code assigned to a user exists
+ * @param {Number} roleCode  Role code of user
+ * @returns {Promise<void>}  Rejects with error code `002005` if role does not exist
+ */
+async function _checkRoleExist(roleCode) {
+    const error = new Error();
+    const data = _.isNil(roleCode) || roleCode === '' ? null : await SQL.role.findOne({
+        where: {
+            role_code: roleCode,
+        },
+    });
+
+    if (_.isNil(data)) {
+        error.code = '002005';
+        throw error;
+    };
+}
+
+/**
+ * Make sure the avatar of a user is a file uploaded for purpose `avatar`
+ * @param {Number} fileId  Id of file, nothing is checked if empty (no avatar)
+ * @returns {Promise<void>}  Rejects with error code `002007` if file does not exist or has another purpose
+ */
+async function _checkAvatar(fileId) {
+    const error = new Error();
+    if (_.isNil(fileId) || fileId === '') {
+        return;
+    };
+
+    const data = await SQL.file.findOne({
+        where: {
+            id: fileId,
+            purpose: 'avatar',
+        },
+    });
+
+    if (_.isNil(data)) {
+        error.code = '002007';
+        throw error;
+    };
+}
+
+/**
+ * Make sure an email is not used by another user, deleted users included
+ * @param {String} email  Email of user, nothing is checked if empty
+ * @param {Number} [userId]  Id of user the email is for, when updated
+ * @returns {Promise<void>}  Rejects with error code `002006` if email is used
+ */
+async function _checkEmailUnused(email, userId) {
+    const error = new Error();
+    if (_.isNil(email) || email === '') {
+        return;
+    };
+
+    const data = await SQL.user.scope({ method: ['email', email] }).findOne({ paranoid: false });
+
+    if (!_.isNil(data) && data.id !== userId) {
+        error.code = '002006';
+        throw error;
+    };
+}
+
+/**
+ * Find imported users with a role that does not exist, or an email already used by an existing user or an earlier row
+ * @param {Object[]} rows  `{ line, values }` of imported file
+ * @returns {Promise<Object[]>}  `{ line, field, message }` of every invalid row
+ */
+async function _checkImportedUsers(rows) {
+    const roles = await SQL.role.findAll({
+        attributes: ['role_code'],
+        where: {
+            role_code: _.uniq(_.compact(_.map(rows, 'values.role'))),
+        },
+    });
+    const roleCodes = new Set(_.map(roles, (item) => String(item.role_code)));
+
+    // ignoring case and including deleted users, see `_checkEmailUnused`
+    const existed = await SQL.user.findAll({
+        attributes: ['email'],
+        where: SQL.sequelize.where(SQL.sequelize.fn('lower', SQL.sequelize.col('email')), {
+            [Op.in]: _.uniq(_.compact(_.map(rows, (row) => _.toLower(row.values.email)))),
+        }),
+        paranoid: false,
+    });
+    const emails = new Set(_.map(existed, (item) => _.toLower(item.email)));
+
+    const errors = [];
+    _.each(rows, ({ line, values }) => {
+        if (!_.isNil(values.role) && !roleCodes.has(String(values.role))) {
+            errors.push({ line, field: 'role', message: 'is not an existing role code' });
+        };
+        if (!_.isNil(values.email)) {
+            if (emails.has(_.toLower(values.email))) {
+                errors.push({ line, field: 'email', message: 'is already used by another user' });
+            };
+            emails.add(_.toLower(values.email));
+        };
+    });
+    return errors;
+}
+
+/**
+ * Hand a generated password over to its user. Random passwords (`auth.password.default` = false)
+ * are emailed, and only returned to the admin when the user has no email. Call it in the transaction
+ * that saves the password, so the password is not saved if the mail cannot be sent.
+ * @async
+ * @param {Object} user  `user` model instance
+ * @param {String} password  Plain text password
+ * @param {String} templateName  Mail template to use
+ * @returns {Promise<Object>}  Extra fields for the response
+ */
+async function _deliverPassword(user, password, templateName) {
+    if (configuration.get('auth.password.default') !== false) {
+        return {}; // configured default password, already known
+    };
+
+    if (_.isEmpty(user.email)) {
+        return { temporaryPassword: password };
+    };
+
+    await mail.send(templateName, user.email, { name: user.user_name, password: password });
+    return {};
+}
\ No newline at end of file
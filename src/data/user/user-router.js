@@ -1,9 +1,30 @@
-exports.getListUser = async (req, res, next) => {
-    const error = new Error();
+'use strict';
 
-    try {
-        
-    } catch (err) {
-        next(err);
+const express = require('express');
+const cmEnum = require('../../../common/enum');
+const user = require('./user-function');
+const schema = require('./user-schema');
+const permission = require('../../../common/permission');
+const validator = require('../../../common/validator');
+const csv = require('../../service/csv');
+const router = express.Router(); // not protected from csrf
+const csrfRouter = express.Router(); // protected from csrf
+
+exports.setup = (routerType) => {
+    if (routerType === cmEnum.RouterType.NO_CSRF) {
+        return router;
+    } else if (routerType === cmEnum.RouterType.WITH_CSRF) {
+        return csrfRouter;
     }
-};
\ No newline at end of file
+};
+
+router.get('/all', permission.check(cmEnum.Permission.USER_VIEW), user.getListUser);
+router.get('/export', permission.check(cmEnum.Permission.USER_VIEW), user.exportUsers);
+router.get('/export/xlsx', permission.check(cmEnum.Permission.USER_VIEW), user.exportUsersXlsx);
+router.post('/import', permission.check(cmEnum.Permission.USER_CREATE), csv.receive(), user.importUsers);
+router.get('/detail/:userId', permission.check(cmEnum.Permission.USER_VIEW), validator.validate(schema.userId), user.getUser);
+router.post('/create', permission.check(cmEnum.Permission.USER_CREATE), validator.validate(schema.createUser), user.createUser);
+router.post('/update/:userId', permission.check(cmEnum.Permission.USER_UPDATE), validator.validate(schema.updateUser), user.updateUser);
+router.post('/delete/:userId', permission.check(cmEnum.Permission.USER_DELETE), validator.validate(schema.userId), user.deleteUser);
+router.post('/unlock/:userId', permission.check(cmEnum.Permission.USER_UNLOCK), validator.validate(schema.userId), user.unlockUser);
+router.post('/reset-password/:userId', permission.check(cmEnum.Permission.USER_RESET_PASSWORD), validator.validate(schema.userId), user.resetPassword);
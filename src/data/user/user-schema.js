@@ -0,0 +1,49 @@
+'use strict';
+
+const userIdParams = {
+    userId: { type: 'integer', required: true },
+};
+
+// not null columns cannot be cleared by update
+const userFields = {
+    userName: { type: 'string', nullable: false, maxLength: 255, code: '002002' },
+    avatar: { type: 'integer' }, // id of a file uploaded for purpose `avatar`
+    state: { type: 'integer', nullable: false, min: 0, max: 1 },
+    birth: { type: 'date', nullable: false, code: '002003' },
+    startDay: { type: 'date', nullable: false, code: '002004' },
+    role: { type: 'integer', nullable: false },
+    phone: { type: 'string', format: 'phone', maxLength: 45 },
+    address: { type: 'string', maxLength: 255 },
+    email: { type: 'string', format: 'email', maxLength: 255 },
+};
+
+exports.userId = {
+    params: userIdParams,
+};
+
+exports.createUser = {
+    body: Object.assign({}, userFields, {
+        userName: Object.assign({ required: true }, userFields.userName),
+        birth: Object.assign({ required: true }, userFields.birth),
+        startDay: Object.assign({ required: true }, userFields.startDay),
+        role: Object.assign({ required: true }, userFields.role),
+        password: { type: 'string' }, // policy is checked by common/password.js
+    }),
+};
+
+exports.updateUser = {
+    params: userIdParams,
+    body: userFields,
+};
+
+// columns of an imported CSV file, see src/service/csv.js. Imported users have no password until it is reset.
+exports.importUser = {
+    user_name: exports.createUser.body.userName,
+    state: exports.createUser.body.state,
+    birth: exports.createUser.body.birth,
+    start_day: exports.createUser.body.startDay,
+    role: exports.createUser.body.role,
+    phone: exports.createUser.body.phone,
+    address: exports.createUser.body.address,
+    email: exports.createUser.body.email,
+};
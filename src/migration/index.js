@@ -0,0 +1,145 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Versioned database migrations and seeders, run by `migrate.js`.
+ * Files in ./migrations and ./seeders run in file name order, so names start with a timestamp,
+ * e.g. `20240301000000-create-role.js`. Every file exports
+ *      {
+ *          up: async (queryInterface, Sequelize) => {},
+ *          down: async (queryInterface, Sequelize) => {}, // undo everything `up` did
+ *      }
+ * Applied migrations are recorded in table `schema_version`, applied seeders in `schema_seed`. */
+
+const log = require('log4js').getLogger('Migration');
+
+const _ = require('lodash');
+const path = require('path');
+const SQL = require('../sql');
+const cmUtils = require('../../common/utils');
+
+exports.migrations = _createRunner(path.join(__dirname, 'migrations'), 'schema_version');
+exports.seeders = _createRunner(path.join(__dirname, 'seeders'), 'schema_seed');
+
+/**
+ * Create a runner for a folder of migration files
+ * @param {String} folder  Folder of migration files
+ * @param {String} tableName  Table that records applied files
+ * @returns {Object}  `{ up, down, status }`
+ */
+function _createRunner(folder, tableName) {
+    const queryInterface = SQL.sequelize.getQueryInterface();
+
+    async function _ensureTable() {
+        await queryInterface.createTable(tableName, {
+            name: {
+                type: SQL.Sequelize.STRING(255),
+                primaryKey: true,
+            },
+            applied_at: {
+                type: SQL.Sequelize.DATE,
+                allowNull: false,
+            },
+        });
+    }
+
+    async function _listFiles() {
+        const files = await cmUtils.readFolder(folder);
+        return _.sortBy(_.filter(files, (file) => (file.indexOf('.') !== 0) && (file.slice(-3) === '.js')));
+    }
+
+    async function _listApplied() {
+        await _ensureTable();
+        const rows = await queryInterface.select(null, tableName, { order: [['name', 'ASC']] });
+        return _.keyBy(rows, 'name');
+    }
+
+    async function _run(name, direction) {
+        const migration = require(path.join(folder, name));
+        log.info(`<Migration> ${direction} ${name}`);
+        try {
+            await migration[direction](queryInterface, SQL.Sequelize);
+        } catch (err) {
+            err.message = `${tableName} ${name} failed to run ${direction}: ${err.message}`;
+            throw err;
+        }
+
+        if (direction === 'up') {
+            await queryInterface.bulkInsert(tableName, [{ name: name, applied_at: new Date() }]);
+        } else {
+            await queryInterface.bulkDelete(tableName, { name: name });
+        }
+    }
+
+    function _checkName(files, name) {
+        if (!_.isNil(name) && !_.includes(files, name)) {
+            throw new Error(`${tableName} ${name} does not exist in ${folder}`);
+        }
+    }
+
+    return {
+        /**
+         * Apply pending files in order
+         * @async
+         * @param {Object} [options]
+         * @param {String} [options.to]  Stop after this file, default is to apply every pending file
+         * @returns {Promise<String[]>}  Names of applied files
+         */
+        up: async ({ to } = {}) => {
+            const files = await _listFiles();
+            _checkName(files, to);
+
+            const applied = await _listApplied();
+            const pending = _.reject(_.isNil(to) ? files : _.slice(files, 0, _.indexOf(files, to) + 1), (name) => _.has(applied, name));
+            for (const name of pending) {
+                await _run(name, 'up');
+            }
+            return pending;
+        },
+
+        /**
+         * Revert applied files, latest first
+         * @async
+         * @param {Object} [options]
+         * @param {Number} [options.step=1]  Number of files to revert
+         * @param {String} [options.to]  Revert down to and including this file, overrides `step`
+         * @returns {Promise<String[]>}  Names of reverted files
+         */
+        down: async ({ step = 1, to } = {}) => {
+            const files = await _listFiles();
+            _checkName(files, to);
+
+            const applied = _.filter(_.reverse(_.keys(await _listApplied())), (name) => {
+                if (!_.includes(files, name)) {
+                    log.warn(`<Migration> ${tableName} ${name} is applied but its file is missing, skipped.`);
+                    return false;
+                }
+                return true;
+            });
+            const reverted = _.isNil(to) ? _.take(applied, step) : _.filter(applied, (name) => name >= to);
+            for (const name of reverted) {
+                await _run(name, 'down');
+            }
+            return reverted;
+        },
+
+        /**
+         * List every file with the time it was applied
+         * @async
+         * @returns {Promise<Object[]>}  `{ name, appliedAt }`, `appliedAt` is `null` for pending files
+         */
+        status: async () => {
+            const files = await _listFiles();
+            const applied = await _listApplied();
+            return _.map(_.sortBy(_.union(files, _.keys(applied))), (name) => ({
+                name: name,
+                appliedAt: _.get(applied, [name, 'applied_at'], null),
+            }));
+        },
+    };
+}
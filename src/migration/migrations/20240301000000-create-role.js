@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('role', {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: Sequelize.INTEGER,
+            },
+            role_code: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: true,
+            },
+            role_name: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('role');
+    },
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('user', {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: Sequelize.INTEGER,
+            },
+            user_name: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+            },
+            avatar: {
+                type: queryInterface.sequelize.getDialect() === 'mysql' ? Sequelize.TEXT('long') : Sequelize.TEXT,
+            },
+            state: {
+                type: Sequelize.TINYINT(1),
+                defaultValue: '0',
+                allowNull: false,
+            },
+            birth: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            start_day: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            role: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+            },
+            phone: {
+                type: Sequelize.STRING(45),
+            },
+            address: {
+                type: Sequelize.STRING(255),
+            },
+            email: {
+                type: Sequelize.STRING(255),
+            },
+            password: {
+                type: Sequelize.STRING(255),
+            },
+            failed_attempts: {
+                type: Sequelize.INTEGER,
+                defaultValue: 0,
+                allowNull: false,
+            },
+            locked_until: {
+                type: Sequelize.DATE,
+            },
+            token_version: {
+                type: Sequelize.INTEGER,
+                defaultValue: 0,
+                allowNull: false,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            deleted_at: {
+                type: Sequelize.DATE,
+            },
+        });
+        await queryInterface.addIndex('user', ['role'], { name: 'user_role' });
+        await queryInterface.addIndex('user', ['email'], { name: 'user_email' });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('user');
+    },
+};
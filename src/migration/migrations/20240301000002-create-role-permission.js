@@ -0,0 +1,37 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('role_permission', {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: Sequelize.INTEGER,
+            },
+            role_code: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+            },
+            permission: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+        });
+        await queryInterface.addIndex('role_permission', ['role_code', 'permission'], {
+            name: 'role_permission_unique',
+            unique: true,
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('role_permission');
+    },
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('otp', {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: Sequelize.INTEGER,
+            },
+            purpose: {
+                type: Sequelize.STRING(45),
+                allowNull: false,
+            },
+            target: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+            },
+            code: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                defaultValue: 0,
+                allowNull: false,
+            },
+            expired_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            used_at: {
+                type: Sequelize.DATE,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+        });
+        await queryInterface.addIndex('otp', ['purpose', 'target'], { name: 'otp_purpose_target' });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('otp');
+    },
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('audit', {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: Sequelize.INTEGER,
+            },
+            entity: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+            },
+            entity_id: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+            },
+            action: {
+                type: Sequelize.STRING(10),
+                allowNull: false,
+            },
+            before: {
+                type: Sequelize.JSON,
+            },
+            after: {
+                type: Sequelize.JSON,
+            },
+            actor_id: {
+                type: Sequelize.INTEGER,
+            },
+            actor_name: {
+                type: Sequelize.STRING(255),
+            },
+            ip: {
+                type: Sequelize.STRING(45),
+            },
+            request_id: {
+                type: Sequelize.STRING(128),
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+        });
+        await queryInterface.addIndex('audit', ['entity', 'entity_id'], { name: 'audit_entity' });
+        await queryInterface.addIndex('audit', ['actor_id'], { name: 'audit_actor' });
+        await queryInterface.addIndex('audit', ['created_at'], { name: 'audit_created_at' });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('audit');
+    },
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('file', {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: Sequelize.INTEGER,
+            },
+            purpose: {
+                type: Sequelize.STRING(45),
+                allowNull: false,
+            },
+            original_name: {
+                type: Sequelize.STRING(255),
+            },
+            path: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+            },
+            mime_type: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+            },
+            extension: {
+                type: Sequelize.STRING(10),
+                allowNull: false,
+            },
+            size: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+            },
+            checksum: {
+                type: Sequelize.STRING(32),
+                allowNull: false,
+            },
+            uploaded_by: {
+                type: Sequelize.INTEGER,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+        });
+        await queryInterface.addIndex('file', ['checksum'], { name: 'file_checksum' });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('file');
+    },
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * `user.avatar` held the image itself in base64, it now holds the id of a `file`.
+ * Existing avatars are written to `upload.root` as files for purpose `avatar`. */
+
+const log = require('log4js').getLogger('Migration');
+
+const _ = require('lodash');
+const fs = require('fs');
+const upload = require('../../service/upload');
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('user', 'avatar_file', { type: Sequelize.INTEGER });
+
+        const users = await queryInterface.select(null, 'user', {
+            attributes: ['id', 'avatar'],
+            where: { avatar: { [Sequelize.Op.ne]: null } },
+        });
+        for (const { id, avatar } of users) {
+            let buffer;
+            try {
+                buffer = upload.decodeBase64(avatar);
+            } catch (err) {
+                log.warn(`<Migration> avatar of user ${id} is not base64, dropped.`);
+                continue;
+            }
+
+            // kept even if larger or of another type than `upload.purposes.avatar` allows now
+            const written = await upload.write(buffer);
+            const now = new Date();
+            await queryInterface.bulkInsert('file', [Object.assign({ purpose: 'avatar', created_at: now, updated_at: now }, written)]);
+            const [file] = await queryInterface.select(null, 'file', { attributes: ['id'], where: { path: written.path } });
+            await queryInterface.bulkUpdate('user', { avatar_file: file.id }, { id: id });
+        }
+
+        await queryInterface.removeColumn('user', 'avatar');
+        await queryInterface.renameColumn('user', 'avatar_file', 'avatar');
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('user', 'avatar_data', {
+            type: queryInterface.sequelize.getDialect() === 'mysql' ? Sequelize.TEXT('long') : Sequelize.TEXT,
+        });
+
+        // files are left in place, they are removed with table `file`
+        const users = await queryInterface.select(null, 'user', {
+            attributes: ['id', 'avatar'],
+            where: { avatar: { [Sequelize.Op.ne]: null } },
+        });
+        for (const { id, avatar } of users) {
+            const [file] = await queryInterface.select(null, 'file', { attributes: ['path'], where: { id: avatar } });
+            if (_.isNil(file)) {
+                continue;
+            }
+            const buffer = await fs.promises.readFile(upload.getFilePath(file));
+            await queryInterface.bulkUpdate('user', { avatar_data: buffer.toString('base64') }, { id: id });
+        }
+
+        await queryInterface.removeColumn('user', 'avatar');
+        await queryInterface.renameColumn('user', 'avatar_data', 'avatar');
+    },
+};
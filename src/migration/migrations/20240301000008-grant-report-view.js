@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * `report:view` was added after the default roles were seeded, see ../permissions.js */
+
+const permissions = require('../permissions');
+
+module.exports = {
+    up: async (queryInterface) => {
+        await permissions.grant(queryInterface, permissions.ADMIN, ['report:view']);
+    },
+
+    down: async (queryInterface) => {
+        await permissions.revoke(queryInterface, permissions.ADMIN, ['report:view']);
+    },
+};
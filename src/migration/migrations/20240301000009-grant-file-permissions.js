@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * `file:upload`, `file:view` and `file:view-any` were added after the default roles were seeded,
+ * see ../permissions.js */
+
+const permissions = require('../permissions');
+
+const FILE_PERMISSIONS = ['file:upload', 'file:view', 'file:view-any'];
+
+module.exports = {
+    up: async (queryInterface) => {
+        await permissions.grant(queryInterface, permissions.ADMIN, FILE_PERMISSIONS);
+    },
+
+    down: async (queryInterface) => {
+        await permissions.revoke(queryInterface, permissions.ADMIN, FILE_PERMISSIONS);
+    },
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Email of a user is unique, deleted users included, as it is used to log in.
+ * Emails used by more than one user must be changed before running it. */
+
+const _ = require('lodash');
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        const duplicated = await queryInterface.sequelize.query(
+            'SELECT LOWER(email) AS email, COUNT(*) AS total FROM `user` WHERE email IS NOT NULL GROUP BY LOWER(email) HAVING COUNT(*) > 1',
+            { type: Sequelize.QueryTypes.SELECT },
+        );
+        if (!_.isEmpty(duplicated)) {
+            throw new Error(`emails used by more than one user must be changed first: ${_.map(duplicated, 'email').join(', ')}`);
+        }
+
+        await _removeEmailIndex(queryInterface);
+        await queryInterface.addIndex('user', ['email'], { name: 'user_email', unique: true });
+    },
+
+    down: async (queryInterface) => {
+        await _removeEmailIndex(queryInterface);
+        await queryInterface.addIndex('user', ['email'], { name: 'user_email' });
+    },
+};
+
+// SQLite loses indexes when 20240301000006-change-user-avatar-to-file recreates the table
+async function _removeEmailIndex(queryInterface) {
+    const indexes = await queryInterface.showIndex('user');
+    if (_.some(indexes, { name: 'user_email' })) {
+        await queryInterface.removeIndex('user', 'user_email');
+    }
+}
@@ -0,0 +1,66 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Grant and revoke role permissions from migrations and seeders.
+ * The default roles seeder grants every permission of `cmEnum.Permission` to the administrator, but a
+ * seeder only runs once, so a permission added later is granted by a migration of its own:
+ *      up: (queryInterface) => permissions.grant(queryInterface, permissions.ADMIN, ['audit:view']),
+ *      down: (queryInterface) => permissions.revoke(queryInterface, permissions.ADMIN, ['audit:view']),
+ * Permissions are written as text in migrations, as they were when the migration was added. */
+
+const _ = require('lodash');
+
+// role created by seeder 20240301000000-default-roles.js
+exports.ADMIN = 1;
+
+/**
+ * Grant permissions to a role, skipping those it already has
+ * @async
+ * @param {QueryInterface} queryInterface  Sequelize query interface
+ * @param {Number} roleCode  Role code, nothing is granted if the role does not exist (yet)
+ * @param {String[]} permissions  Permissions to grant
+ * @returns {Promise<String[]>}  Newly granted permissions
+ */
+exports.grant = async (queryInterface, roleCode, permissions) => {
+    const roles = await queryInterface.select(null, 'role', { where: { role_code: roleCode } });
+    if (_.isEmpty(roles)) {
+        return []; // database is not seeded, the seeder grants current permissions
+    }
+
+    const granted = await queryInterface.select(null, 'role_permission', {
+        attributes: ['permission'],
+        where: { role_code: roleCode },
+    });
+    const missing = _.difference(permissions, _.map(granted, 'permission'));
+    if (!_.isEmpty(missing)) {
+        const now = new Date();
+        await queryInterface.bulkInsert('role_permission', _.map(missing, (permission) => ({
+            role_code: roleCode,
+            permission: permission,
+            created_at: now,
+            updated_at: now,
+        })));
+    }
+    return missing;
+};
+
+/**
+ * Revoke permissions from a role
+ * @async
+ * @param {QueryInterface} queryInterface  Sequelize query interface
+ * @param {Number} roleCode  Role code
+ * @param {String[]} permissions  Permissions to revoke
+ * @returns {Promise<void>}
+ */
+exports.revoke = async (queryInterface, roleCode, permissions) => {
+    await queryInterface.bulkDelete('role_permission', {
+        role_code: roleCode,
+        permission: permissions,
+    });
+};
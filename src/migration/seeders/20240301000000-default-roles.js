@@ -0,0 +1,25 @@
+'use strict';
+
+const _ = require('lodash');
+const cmEnum = require('../../../common/enum');
+const permissions = require('../permissions');
+
+const ROLES = [
+    { role_code: permissions.ADMIN, role_name: 'Administrator' },
+    { role_code: 2, role_name: 'User' },
+];
+
+module.exports = {
+    up: async (queryInterface) => {
+        const now = new Date();
+        await queryInterface.bulkInsert('role', _.map(ROLES, (role) => Object.assign({ created_at: now, updated_at: now }, role)));
+        // administrator can do everything, permissions added later are granted by migrations (see ../permissions.js)
+        await permissions.grant(queryInterface, permissions.ADMIN, _.values(cmEnum.Permission));
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        const roleCodes = _.map(ROLES, 'role_code');
+        await queryInterface.bulkDelete('role_permission', { role_code: { [Sequelize.Op.in]: roleCodes } });
+        await queryInterface.bulkDelete('role', { role_code: { [Sequelize.Op.in]: roleCodes } });
+    },
+};
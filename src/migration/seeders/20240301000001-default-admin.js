@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * First administrator, so a new installation can log in. Email and password are taken from
+ * `auth.admin` (e.g. `SUNCLOVER_AUTH__ADMIN__PASSWORD`), nothing is done if an administrator exists. */
+
+const log = require('log4js').getLogger('Migration');
+
+const _ = require('lodash');
+const cmPassword = require('../../../common/password');
+const configuration = require('../../../configuration');
+const permissions = require('../permissions');
+
+module.exports = {
+    up: async (queryInterface) => {
+        const admins = await queryInterface.select(null, 'user', { where: { role: permissions.ADMIN, deleted_at: null } });
+        if (!_.isEmpty(admins)) {
+            log.info('<Migration> an administrator already exists, none is created.');
+            return;
+        }
+
+        const { email, password } = configuration.get('auth.admin');
+        if (_.isEmpty(email) || _.isEmpty(password)) {
+            throw new Error('auth.admin.email and auth.admin.password must be set to create the first administrator');
+        }
+        try {
+            cmPassword.checkPolicy(password);
+        } catch (err) {
+            throw new Error('auth.admin.password does not meet the password policy (auth.password)');
+        }
+
+        // birth and start day are required, they are placeholders to correct with `/user/update`
+        const now = new Date();
+        await queryInterface.bulkInsert('user', [{
+            user_name: 'Administrator',
+            state: 0,
+            birth: now,
+            start_day: now,
+            role: permissions.ADMIN,
+            email: email,
+            password: await cmPassword.hash(password),
+            created_at: now,
+            updated_at: now,
+        }]);
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.bulkDelete('user', { role: permissions.ADMIN, email: configuration.get('auth.admin.email') });
+    },
+};
@@ -0,0 +1,123 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Audit trail (`audit`) of data changes, stored in table `audit`.
+ * Sequelize hooks record every create, update and delete made while a request is handled,
+ * with the actor, ip and request id taken from the request context (common/context.js).
+ * Updates keep only the columns that changed. Bulk `update`, `destroy` and `bulkCreate` are
+ * run row by row so each row gets its own record. Changes made outside of a request
+ * (scripts, migrations, seeders) are not recorded. */
+
+const log = require('log4js').getLogger('Audit');
+
+const _ = require('lodash');
+const SQL = require('../sql');
+const cmContext = require('../../common/context');
+const configuration = require('../../configuration');
+
+const MASK = '******';
+const TIMESTAMP_FIELDS = Object.freeze(['created_at', 'updated_at']);
+
+const Action = Object.freeze({
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+});
+
+const snapshots = new WeakMap(); // instance => column values before update
+
+/**
+ * Start recording changes of every model. Call once, after `SQL.ready`.
+ * @returns {void}
+ */
+exports.watch = () => {
+    if (!configuration.get('audit.enabled', false)) {
+        return;
+    }
+
+    const bulkHook = (options) => {
+        if (_isRecorded(options.model) && !options.ignoreDuplicates && _.isNil(options.updateOnDuplicate)) {
+            options.individualHooks = true;
+        }
+    };
+    SQL.sequelize.addHook('beforeBulkCreate', 'audit', (instances, options) => bulkHook(options));
+    SQL.sequelize.addHook('beforeBulkUpdate', 'audit', bulkHook);
+    SQL.sequelize.addHook('beforeBulkDestroy', 'audit', bulkHook);
+
+    SQL.sequelize.addHook('afterCreate', 'audit', (instance, options) => _record(instance, Action.CREATE, null, _getValues(instance), options));
+    SQL.sequelize.addHook('beforeUpdate', 'audit', (instance) => {
+        // bulk updates may save the row before `afterUpdate`, which resets `previous()`
+        if (_isRecorded(instance.constructor)) {
+            snapshots.set(instance, _.mapValues(instance.dataValues, (value, field) => instance.previous(field)));
+        }
+    });
+    SQL.sequelize.addHook('afterUpdate', 'audit', (instance, options) => {
+        const before = snapshots.get(instance);
+        snapshots.delete(instance);
+        if (_.isNil(before)) {
+            return;
+        }
+
+        const after = _getValues(instance);
+        const changed = _.filter(_.keys(after), (field) => !_.isEqual(_.get(before, field), after[field]));
+        if (_.isEmpty(changed)) {
+            return;
+        }
+        return _record(instance, Action.UPDATE, _.pick(before, changed), _.pick(after, changed), options);
+    });
+    SQL.sequelize.addHook('afterDestroy', 'audit', (instance, options) => _record(instance, Action.DELETE, _getValues(instance), null, options));
+};
+
+exports.Action = Action;
+
+function _isRecorded(model) {
+    return !_.isNil(model)
+        && !_.isNil(cmContext.getRequestId())
+        && model.name !== SQL.audit.name
+        && !_.includes(configuration.get('audit.ignoredModels', []), model.name);
+}
+
+function _getValues(instance) {
+    return _.omit(instance.get({ plain: true }), TIMESTAMP_FIELDS);
+}
+
+function _mask(values) {
+    if (_.isNil(values)) {
+        return null;
+    }
+    return _.mapValues(values, (value, field) => (_.includes(configuration.get('audit.maskedFields', []), field) ? MASK : value));
+}
+
+async function _record(instance, action, before, after, options) {
+    const model = instance.constructor;
+    if (!_isRecorded(model)) {
+        return;
+    }
+
+    const actor = cmContext.get('user');
+    try {
+        await SQL.audit.create({
+            entity: model.name,
+            entity_id: _.map(model.primaryKeyAttributes, (key) => instance.get(key)).join(','),
+            action: action,
+            before: _mask(before),
+            after: _mask(after),
+            actor_id: _.get(actor, 'id', null),
+            actor_name: _.get(actor, 'username', null),
+            ip: cmContext.get('ip'),
+            request_id: cmContext.getRequestId(),
+        }, {
+            transaction: options.transaction, // rolled back together with the change
+            hooks: false,
+        });
+    } catch (err) {
+        log.error(`<Audit> failed to record ${action} of ${model.name}:`, err);
+        throw err;
+    }
+}
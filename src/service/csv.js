@@ -0,0 +1,250 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview CSV import and export (`features.file_offline`).
+ * Imports are all or nothing: an uploaded file is streamed to `file_temp`, every row is validated
+ * against the column rules (common/validator.js) and the model, and only a file without invalid rows
+ * is saved, in one transaction. Imported files are then kept in `file_csv`.
+ * Exports are streamed in batches and take the same filters and sorting as list routes
+ * (common/list-query.js). Header of a file is the model column names, so an export can be imported again.
+ * Exported text that a spreadsheet would run as a formula is prefixed with a quote, which import removes. */
+
+const log = require('log4js').getLogger('Csv');
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { once } = require('events');
+const { parse } = require('csv-parse');
+const { stringify } = require('csv-stringify');
+const SQL = require('../sql');
+const cmUtils = require('../../common/utils');
+const cmValidator = require('../../common/validator');
+const listQuery = require('../../common/list-query');
+const configuration = require('../../configuration');
+
+const EXPORT_BATCH_SIZE = 500;
+// cells spreadsheets would run as a formula, unless they are only a (phone) number
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER_LIKE = /^[+-]?[\d\s().-]+$/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+/**
+ * Create a middleware that streams a multipart part named `file` to `file_temp`
+ * @returns {Function}  Express middleware, sets `req.file.path`. Passes error code `010002` if file is too large.
+ */
+exports.receive = () => {
+    const maxSize = configuration.get('features.file_offline.maxSize');
+    const receive = multer({
+        dest: _getFolder('file_temp', 'csv-temp'),
+        limits: {
+            fileSize: maxSize,
+            files: 1,
+        },
+    }).single('file');
+
+    return (req, res, next) => {
+        receive(req, res, (err) => {
+            if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                const error = new Error();
+                error.code = '010002';
+                error.status = 413;
+                error.params = { maxSize: maxSize };
+                return next(error);
+            };
+            next(err);
+        });
+    };
+};
+
+/**
+ * Import an uploaded CSV file
+ * @async
+ * @param {Object} file  `req.file` set by `receive()`, the file is removed from `file_temp` in any case
+ * @param {Object} options
+ * @param {Model} options.model  Model rows are created in
+ * @param {Object} options.columns  Map of column name to validator rules, other columns of file are ignored
+ * @param {Function} [options.checkRows]  `async (rows) => errors`, for checks across rows or against
+ *      the database (e.g. duplicates). `rows` are `{ line, values }`, errors are `{ line, field, message }`.
+ * @returns {Promise<Object>}  `{ total, imported }`. Rejects with error code `010001` if there is no file,
+ *      `011001` with `data` listing `{ line, field, message }` of every invalid row, `011002` if a required
+ *      column is missing, `011003` if file has too many rows, `011004` if file is not valid CSV.
+ */
+exports.importFile = async (file, { model, columns, checkRows = async () => [] }) => {
+    const error = new Error();
+    error.status = 400;
+    if (_.isNil(file)) {
+        error.code = '010001';
+        throw error;
+    };
+
+    try {
+        const { rows, errors } = await _readRows(file.path, model, columns);
+        errors.push(...await checkRows(rows));
+
+        if (!_.isEmpty(errors)) {
+            error.code = '011001';
+            error.params = { total: _.uniq(_.map(errors, 'line')).length };
+            error.data = _.sortBy(errors, 'line');
+            throw error;
+        };
+
+        // `bulkCreate` validates every row again, see src/sql/index.js
+        await SQL.sequelize.transaction((transaction) => model.bulkCreate(_.map(rows, 'values'), { transaction: transaction }));
+        await _keep(file, model.name);
+        return { total: rows.length, imported: rows.length };
+    } finally {
+        await fs.promises.rm(file.path, { force: true });
+    }
+};
+
+/**
+ * Answer a request with rows of a model as a CSV file
+ * @async
+ * @param {Response} res  Express response
+ * @param {Object} options
+ * @param {Model} options.model  Model to export
+ * @param {Object} options.query  `req.query`, filters and sorting as for `listQuery.findPage()`, paging is ignored
+ * @param {String[]} options.columns  Columns to export, in order
+ * @param {Object} [options.findOptions={}]  Extra Sequelize options, `where` is merged with the filters
+ * @returns {Promise<void>}  Rejects with list query error codes `003xxx` before anything is sent
+ */
+exports.exportFile = async (res, { model, query, columns, findOptions = {} }) => {
+    const { where, order } = listQuery.parse(model, query, { exclude: _.difference(_.keys(model.getAttributes()), columns) });
+
+    const stringifier = stringify({
+        header: true,
+        columns: columns,
+        cast: {
+            date: (value) => value.toISOString(),
+            string: _escapeFormula,
+        },
+    });
+    res.attachment(`${model.name}-${cmUtils.convertStringtoDateWithFormat(new Date(), 'YYYYMMDDHHmmss')}.csv`);
+    stringifier.pipe(res);
+
+    try {
+        for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+            const rows = await model.findAll(Object.assign({}, findOptions, {
+                attributes: columns,
+                where: Object.assign({}, findOptions.where, where),
+                order: order,
+                limit: EXPORT_BATCH_SIZE,
+                offset: offset,
+            }));
+            for (const row of rows) {
+                if (!stringifier.write(row.get({ plain: true }))) {
+                    await once(stringifier, 'drain'); // client reads slower than database
+                }
+            }
+            if (rows.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+        stringifier.end();
+    } catch (err) {
+        // response has started, client can only tell from a cut file
+        log.error(`<Csv> export of ${model.name} failed:`, err);
+        res.destroy(err);
+    }
+};
+
+async function _readRows(filePath, model, columns) {
+    const error = new Error();
+    error.status = 400;
+    const maxRows = configuration.get('features.file_offline.maxRows');
+    const required = _.keys(_.pickBy(columns, 'required'));
+    const rows = [];
+    const errors = [];
+
+    const parser = fs.createReadStream(filePath).pipe(parse({
+        columns: (header) => {
+            if (!_.isEmpty(_.difference(required, header))) {
+                error.code = '011002';
+                error.params = { columns: required.join(', ') };
+                throw error;
+            };
+            return header;
+        },
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        info: true,
+    }));
+
+    try {
+        for await (const { record, info } of parser) {
+            if (rows.length >= maxRows) {
+                error.code = '011003';
+                error.params = { maxRows: maxRows };
+                throw error;
+            };
+
+            const line = info.lines;
+            const values = _.mapValues(_.omitBy(_.pick(record, _.keys(columns)), (value) => value === ''), _unescapeFormula); // empty cell is no value
+            const rowErrors = _.compact(_.map(columns, (rules, field) => {
+                const message = cmValidator.checkValue(values[field], rules);
+                return _.isNil(message) ? undefined : { line, field, message };
+            }));
+
+            if (_.isEmpty(rowErrors)) {
+                rowErrors.push(...await _validateModel(model, values, line));
+            };
+            errors.push(...rowErrors);
+            rows.push({ line, values });
+        }
+    } catch (err) {
+        if (!_.isNil(err.code) && _.startsWith(err.code, 'CSV_')) {
+            error.code = '011004';
+            error.params = { line: err.lines };
+            throw error;
+        };
+        throw err;
+    } finally {
+        parser.destroy();
+    }
+    return { rows, errors };
+}
+
+// quote prefix makes spreadsheets show the text as is, see https://owasp.org/www-community/attacks/CSV_Injection
+function _escapeFormula(value) {
+    return (FORMULA_START.test(value) && !NUMBER_LIKE.test(value)) ? `'${value}` : value;
+}
+
+// so an exported file can be imported again
+function _unescapeFormula(value) {
+    return ESCAPED_FORMULA.test(value) ? value.slice(1) : value;
+}
+
+async function _validateModel(model, values, line) {
+    try {
+        await model.build(values).validate();
+        return [];
+    } catch (err) {
+        if (err.name !== 'SequelizeValidationError') {
+            throw err;
+        };
+        return _.map(err.errors, (item) => ({ line, field: item.path, message: item.message }));
+    }
+}
+
+async function _keep(file, entity) {
+    const keptPath = path.join(_getFolder('file_csv', 'csv'), cmUtils.generateFolderByDate(), `${entity}-${path.basename(file.path)}.csv`);
+    try {
+        await cmUtils.createFolder(path.dirname(keptPath));
+        await fs.promises.copyFile(file.path, keptPath);
+    } catch (err) {
+        log.warn(`<Csv> imported file could not be kept in ${keptPath}:`, err); // rows are already imported
+    }
+}
+
+function _getFolder(key, defaultName) {
+    return configuration.get(`features.file_offline.${key}`) || path.join(configuration.get('tempFolder'), defaultName);
+}
@@ -0,0 +1,106 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Email delivery with named templates (see ./templates.js).
+ * `mail.transport` decides whether mails go to the SMTP server in `mail.config` or are
+ * written as .eml files to a local outbox folder. */
+
+const log = require('log4js').getLogger('Mail');
+
+const _ = require('lodash');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./templates');
+const cmUtils = require('../../../common/utils');
+const configuration = require('../../../configuration');
+
+const DEFAULT_FOOTER = 'This is a computer-generated message, please do not reply to this email.';
+
+let transporter;
+
+/**
+ * Render a template and send it
+ * @async
+ * @param {String} templateName  Key of ./templates.js
+ * @param {String|String[]} to  Recipient email address(es)
+ * @param {Object} [values={}]  Values for `$key` placeholders
+ * @returns {Promise<Object>}  `{ messageId }`. Rejects with error code `006001` if mail cannot be sent.
+ */
+exports.send = async (templateName, to, values = {}) => {
+    const template = templates[templateName];
+    if (_.isNil(template)) {
+        throw new Error(`Mail template ${templateName} does not exist`);
+    }
+
+    const message = exports.render(template, values);
+    const mailOptions = {
+        from: configuration.get('mail.emailfrom'),
+        to: to,
+        cc: configuration.get('mail.content.cc'),
+        subject: message.subject,
+        text: message.text,
+    };
+
+    try {
+        const info = await _getTransporter().sendMail(mailOptions);
+        const messageId = await _saveToOutbox(info);
+        log.info(`<Mail> Sent ${templateName} to ${to}: ${messageId}`);
+        return { messageId };
+    } catch (err) {
+        log.error(`<Mail> Unable to send ${templateName} to ${to}`, err);
+        const error = new Error();
+        error.code = '006001';
+        throw error;
+    }
+};
+
+/**
+ * Fill a template and add subject prefix and footer
+ * @param {Object} template  `{ subject, body }`
+ * @param {Object} values  Values for `$key` placeholders
+ * @returns {Object}  `{ subject, text }`
+ */
+exports.render = (template, values) => {
+    const keys = _.keys(values);
+    const subjectPrefix = configuration.get('mail.content.subjectPrefix');
+    const reply = configuration.get('mail.content.reply');
+
+    const subject = cmUtils.parseWithContentTemplate(template.subject, keys, values);
+    const body = cmUtils.parseWithContentTemplate(template.body, keys, values);
+    return {
+        subject: _.isEmpty(subjectPrefix) ? subject : `${subjectPrefix} ${subject}`,
+        text: `${body}\n\n--\n${_.isEmpty(reply) ? DEFAULT_FOOTER : reply}`,
+    };
+};
+
+function _isOutbox() {
+    return configuration.get('mail.transport') === 'outbox';
+}
+
+function _getTransporter() {
+    if (!transporter) {
+        // outbox only builds the raw message, which is then saved by `_saveToOutbox`
+        transporter = _isOutbox() ?
+            nodemailer.createTransport({ streamTransport: true, buffer: true }) :
+            nodemailer.createTransport(configuration.get('mail.config'));
+    }
+    return transporter;
+}
+
+async function _saveToOutbox(info) {
+    if (!_isOutbox()) {
+        return info.messageId;
+    }
+
+    const outbox = configuration.get('mail.outbox');
+    const folder = _.isEmpty(outbox) ? path.join(configuration.get('tempFolder'), 'outbox') : outbox;
+    const filePath = path.join(folder, cmUtils.generateFolderByDate(), cmUtils.getFileName(`mail_${cmUtils.generateString()}`, 'eml'));
+    await cmUtils.saveFile(info.message, filePath);
+    return filePath;
+}
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * @fileoverview Email templates. `$key` placeholders are filled by `mail.send()` with
+ * `cmUtils.parseWithContentTemplate`. Subject prefix and footer are added when sending. */
+
+exports.otp = Object.freeze({
+    subject: 'Your verification code',
+    body: 'Hi,\n\nYour verification code is $code. It expires in $minutes minute(s).\n\nIf you did not request this code, please ignore this email.',
+});
+
+exports.newAccount = Object.freeze({
+    subject: 'Your new account',
+    body: 'Hi $name,\n\nAn account has been created for you. Please log in with the password below and change it.\n\nPassword: $password',
+});
+
+exports.resetPassword = Object.freeze({
+    subject: 'Your password has been reset',
+    body: 'Hi $name,\n\nYour password has been reset by an administrator. Please log in with the password below and change it.\n\nPassword: $password',
+});
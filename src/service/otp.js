@@ -0,0 +1,218 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview One-time passwords (`auth.otp`).
+ * Every code belongs to a purpose (a key of `auth.otp.expiretime`) and a target (email or phone),
+ * so a code issued for one flow cannot be used in another. Codes are stored hashed. */
+
+const log = require('log4js').getLogger('Otp');
+
+const _ = require('lodash');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const SQL = require('../sql');
+const cmUtils = require('../../common/utils');
+const cmPassword = require('../../common/password');
+const sms = require('./sms');
+const mail = require('./mail');
+const configuration = require('../../configuration');
+
+const CHARSETS = Object.freeze({
+    digits: '0123456789',
+    alphabets: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    specialchars: '!@#$%^&*',
+});
+
+/**
+ * Check if an OTP purpose is configured
+ * @param {String} purpose  OTP purpose
+ * @returns {Boolean}  `true` if purpose has an expiry time in `auth.otp.expiretime`
+ */
+exports.isValidPurpose = (purpose) => _.isString(purpose) && _.has(configuration.get('auth.otp.expiretime'), purpose);
+
+/**
+ * Generate a new OTP. Codes issued before for the same purpose and target stop working.
+ * @async
+ * @param {String} purpose  OTP purpose
+ * @param {String} target  Email or phone the code is sent to
+ * @returns {Promise<Object>}  `{ code, expiredAt }`, `code` is plain text and must only be sent to `target`
+ */
+exports.issue = async (purpose, target) => {
+    const code = cmUtils.randomString(configuration.get('auth.otp.length'), _getCharset());
+    const expiredAt = moment().add(configuration.get(`auth.otp.expiretime.${purpose}`), 'seconds').toDate();
+
+    await SQL.otp.update({ used_at: new Date() }, {
+        where: {
+            purpose: purpose,
+            target: target,
+            used_at: null,
+        },
+    });
+
+    await SQL.otp.create({
+        purpose: purpose,
+        target: target,
+        code: await cmPassword.hash(code),
+        expired_at: expiredAt,
+    });
+
+    log.info(`<Otp> Issued ${purpose} OTP for ${target}, expires at ${expiredAt.toISOString()}`);
+    return { code, expiredAt };
+};
+
+/**
+ * Generate a new OTP and deliver it to its target, at most once every `auth.otp.resendAfter` seconds
+ * and `auth.otp.maxPerHour` times an hour per target
+ * @async
+ * @param {String} purpose  OTP purpose
+ * @param {String} target  Email or phone to send the code to
+ * @returns {Promise<Object>}  `{ expiredAt }`. Rejects with error code `005006` if target got a code too recently.
+ */
+exports.send = async (purpose, target) => {
+    await _checkRequestLimit(target);
+    const { code, expiredAt } = await exports.issue(purpose, target);
+    const minutes = Math.ceil(configuration.get(`auth.otp.expiretime.${purpose}`) / 60);
+
+    if (_isEmail(target)) {
+        await mail.send('otp', target, { code: code, minutes: minutes });
+    } else {
+        await sms.send(target, `Your verification code is ${code}. It expires in ${minutes} minute(s).`);
+    };
+
+    return { expiredAt };
+};
+
+/**
+ * Check an OTP without using it up, e.g. to tell a user early that the code is right. The code
+ * still works for the flow it was issued for, which uses it up with `verify()`. Every check counts
+ * as an attempt, right or wrong.
+ * @async
+ * @param {String} purpose  OTP purpose
+ * @param {String} target  Email or phone the code was sent to
+ * @param {String} code  Code entered by user
+ * @returns {Promise<Object>}  `otp` model instance. Rejects with error code `005002` if there is no valid code,
+ *      `005003` if code was entered wrongly too many times or `005004` if code is wrong
+ */
+exports.check = async (purpose, target, code) => {
+    const error = new Error();
+
+    const data = await SQL.otp.findOne({
+        where: {
+            purpose: purpose,
+            target: target,
+            used_at: null,
+            expired_at: { [Op.gt]: new Date() },
+        },
+        order: [['id', 'DESC']],
+    });
+
+    if (_.isNil(data)) {
+        error.code = '005002';
+        throw error;
+    };
+
+    // every entry is counted before the code is compared, so parallel guesses cannot pass the limit
+    const [counted] = await SQL.otp.update({ attempts: SQL.sequelize.literal('attempts + 1') }, {
+        where: {
+            id: data.id,
+            attempts: { [Op.lt]: configuration.get('auth.otp.maxAttempts') },
+        },
+    });
+
+    if (counted === 0) {
+        error.code = '005003';
+        throw error;
+    };
+
+    if (!(await cmPassword.verify(_.toString(code), data.code))) {
+        error.code = '005004';
+        throw error;
+    };
+
+    return data;
+};
+
+/**
+ * Verify and use up an OTP
+ * @async
+ * @param {String} purpose  OTP purpose
+ * @param {String} target  Email or phone the code was sent to
+ * @param {String} code  Code entered by user
+ * @returns {Promise<void>}  Rejects with error codes of `check()`
+ */
+exports.verify = async (purpose, target, code) => {
+    const error = new Error();
+    const data = await exports.check(purpose, target, code);
+
+    // a code is only used once, even by parallel requests
+    const [used] = await SQL.otp.update({ used_at: new Date() }, {
+        where: {
+            id: data.id,
+            used_at: null,
+        },
+    });
+
+    if (used === 0) {
+        error.code = '005002';
+        throw error;
+    };
+};
+
+/**
+ * Limit codes sent to a target, as every new code brings new attempts (`auth.otp.maxAttempts`)
+ * @async
+ * @param {String} target  Email or phone
+ * @returns {Promise<void>}  Rejects with error code `005006` if target got a code too recently
+ */
+async function _checkRequestLimit(target) {
+    const error = new Error();
+    const { resendAfter, maxPerHour } = configuration.get('auth.otp');
+
+    // codes of every purpose, latest first
+    const recent = await SQL.otp.findAll({
+        attributes: ['created_at'],
+        where: {
+            target: target,
+            created_at: { [Op.gt]: moment().subtract(1, 'hour').toDate() },
+        },
+        order: [['created_at', 'DESC']],
+    });
+
+    const waits = [];
+    if (!_.isEmpty(recent)) {
+        waits.push(moment(_.first(recent).created_at).add(resendAfter, 'seconds'));
+    };
+    if (recent.length >= maxPerHour) {
+        waits.push(moment(recent[maxPerHour - 1].created_at).add(1, 'hour'));
+    };
+
+    const seconds = Math.ceil(_.max(_.map(waits, (until) => until.diff(moment(), 'milliseconds') / 1000)) || 0);
+    if (seconds > 0) {
+        log.warn(`<Otp> Code for ${target} requested too often, retry after ${seconds} seconds`);
+        error.code = '005006';
+        error.status = 429;
+        error.params = { seconds: seconds };
+        throw error;
+    };
+}
+
+function _isEmail(target) {
+    return _.includes(target, '@');
+}
+
+/**
+ * Characters allowed in a code, based on the `auth.otp` character class flags
+ * @returns {String}  Characters to pick from
+ */
+function _getCharset() {
+    const otpConfig = configuration.get('auth.otp');
+    const charset = _.reduce(CHARSETS, (result, chars, key) => (otpConfig[key] ? result + chars : result), '');
+    return _.isEmpty(charset) ? CHARSETS.digits : charset;
+}
@@ -0,0 +1,17 @@
+'use strict';
+
+const log = require('log4js').getLogger('Sms');
+
+const cmUtils = require('../../../common/utils');
+
+/**
+ * Print SMS to log instead of sending it, for offline development
+ * @async
+ * @param {Object} message  `{ from, to, text }`
+ * @returns {Promise<Object>}  `{ messageId }`
+ */
+exports.send = async ({ from, to, text }) => {
+    const messageId = cmUtils.generateString();
+    log.info(`<Sms> ${messageId} from ${from} to ${to}: ${text}`);
+    return { messageId };
+};
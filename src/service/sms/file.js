@@ -0,0 +1,22 @@
+'use strict';
+
+const _ = require('lodash');
+const path = require('path');
+const cmUtils = require('../../../common/utils');
+const configuration = require('../../../configuration');
+
+/**
+ * Write SMS to a local file instead of sending it, for offline development and tests.
+ * Files are grouped by month, see `cmUtils.generateFolderByDate`.
+ * @async
+ * @param {Object} message  `{ from, to, text }`
+ * @param {Object} options  `sms.file` settings
+ * @returns {Promise<Object>}  `{ messageId }`, which is the file path
+ */
+exports.send = async (message, options) => {
+    const folder = _.isEmpty(options.folder) ? path.join(configuration.get('tempFolder'), 'sms') : options.folder;
+    const filePath = path.join(folder, cmUtils.generateFolderByDate(), cmUtils.getFileName(`sms_${cmUtils.generateString()}`, 'json'));
+
+    await cmUtils.saveFile(JSON.stringify(Object.assign({ sentAt: new Date() }, message), null, 2), filePath);
+    return { messageId: filePath };
+};
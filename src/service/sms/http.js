@@ -0,0 +1,25 @@
+'use strict';
+
+const request = require('request');
+
+const TIMEOUT = 30 * 1000;
+
+/**
+ * Send a JSON POST request to a provider
+ * @async
+ * @param {Object} options  `request` options, e.g. `url`, `body`, `auth`
+ * @returns {Promise<Object>}  Response body. Rejects on network error or HTTP error status.
+ */
+exports.postJson = (options) => {
+    return new Promise((resolve, reject) => {
+        request(Object.assign({ method: 'POST', json: true, timeout: TIMEOUT }, options), (err, response, body) => {
+            if (err) {
+                reject(err);
+            } else if (response.statusCode >= 400) {
+                reject(new Error(`HTTP ${response.statusCode}: ${JSON.stringify(body)}`));
+            } else {
+                resolve(body);
+            }
+        });
+    });
+};
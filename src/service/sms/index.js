@@ -0,0 +1,61 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview SMS delivery. Provider is picked by `sms.provider`, each provider is an adapter
+ * in this folder exporting `send({ from, to, text }, options)` where `options` is the
+ * `sms.<provider>` settings. Failed sends are retried per `sms.retry`. */
+
+const log = require('log4js').getLogger('Sms');
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const configuration = require('../../../configuration');
+
+const ADAPTERS = Object.freeze({
+    nexmo: require('./nexmo'),
+    sinch: require('./sinch'),
+    wavecell: require('./wavecell'),
+    file: require('./file'),
+    console: require('./console'),
+});
+
+/**
+ * Send a text message
+ * @async
+ * @param {String} to  Phone number, in international format
+ * @param {String} text  Message content
+ * @returns {Promise<Object>}  `{ provider, messageId }`. Rejects with error code `006001` if all tries failed.
+ */
+exports.send = async (to, text) => {
+    const provider = configuration.get('sms.provider');
+    const adapter = ADAPTERS[provider];
+    if (_.isNil(adapter)) {
+        throw new Error(`SMS provider ${provider} is not supported`);
+    }
+
+    const { attempts, delay } = configuration.get('sms.retry');
+    const message = { from: configuration.get('sms.from'), to: to, text: text };
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const { messageId } = await adapter.send(message, configuration.get(`sms.${provider}`, {}));
+            log.info(`<Sms> Attempt ${attempt}/${attempts} via ${provider} to ${to}: sent ${messageId}`);
+            return { provider, messageId };
+        } catch (err) {
+            log.warn(`<Sms> Attempt ${attempt}/${attempts} via ${provider} to ${to}: failed`, err);
+            if (attempt < attempts) {
+                await Promise.delay(delay * attempt * 1000);
+            }
+        }
+    }
+
+    const error = new Error();
+    error.code = '006001';
+    throw error;
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const _ = require('lodash');
+const http = require('./http');
+
+/**
+ * Send SMS through Nexmo (Vonage) SMS API
+ * @async
+ * @param {Object} message  `{ from, to, text }`
+ * @param {Object} options  `sms.nexmo` settings
+ * @returns {Promise<Object>}  `{ messageId }`
+ */
+exports.send = async ({ from, to, text }, options) => {
+    const body = await http.postJson({
+        url: options.url,
+        body: {
+            api_key: options.apiKey,
+            api_secret: options.apiSecret,
+            from: from,
+            to: to,
+            text: text,
+        },
+    });
+
+    // HTTP status is always 200, each message has its own status
+    const result = _.get(body, 'messages[0]', {});
+    if (result.status !== '0') {
+        throw new Error(`Nexmo status ${result.status}: ${result['error-text']}`);
+    }
+    return { messageId: result['message-id'] };
+};
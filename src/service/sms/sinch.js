@@ -0,0 +1,23 @@
+'use strict';
+
+const http = require('./http');
+
+/**
+ * Send SMS through Sinch SMS REST API
+ * @async
+ * @param {Object} message  `{ from, to, text }`
+ * @param {Object} options  `sms.sinch` settings
+ * @returns {Promise<Object>}  `{ messageId }`
+ */
+exports.send = async ({ from, to, text }, options) => {
+    const body = await http.postJson({
+        url: `${options.url}/${options.servicePlanId}/batches`,
+        auth: { bearer: options.apiToken },
+        body: {
+            from: from,
+            to: [to],
+            body: text,
+        },
+    });
+    return { messageId: body.id };
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+const http = require('./http');
+
+/**
+ * Send SMS through Wavecell (8x8) SMS API
+ * @async
+ * @param {Object} message  `{ from, to, text }`
+ * @param {Object} options  `sms.wavecell` settings
+ * @returns {Promise<Object>}  `{ messageId }`
+ */
+exports.send = async ({ from, to, text }, options) => {
+    const body = await http.postJson({
+        url: `${options.url}/${options.subAccountId}/single`,
+        auth: { bearer: options.apiKey },
+        body: {
+            source: from,
+            destination: to,
+            text: text,
+            encoding: 'AUTO',
+        },
+    });
+    return { messageId: body.umid };
+};
@@ -0,0 +1,168 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Uploaded files (`upload`), stored under `upload.root` in month folders (YYYY/MM)
+ * with random names, and described by a row of table `file`.
+ * Every upload has a purpose (a key of `upload.purposes`) that sets its allowed size and types.
+ * Type is detected from the first bytes of the content, never from the name sent by client. */
+
+const _ = require('lodash');
+const path = require('path');
+const crypto = require('crypto');
+const SQL = require('../sql');
+const cmUtils = require('../../common/utils');
+const configuration = require('../../configuration');
+
+const UNKNOWN_TYPE = Object.freeze({ extension: 'bin', mime: 'application/octet-stream' });
+const DATA_URL_PREFIX = /^data:[\w.+/-]*;base64,/;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// signatures ("magic bytes") that content must start with, see https://en.wikipedia.org/wiki/List_of_file_signatures
+const TYPES = Object.freeze({
+    jpg: { mime: 'image/jpeg', signature: [{ offset: 0, bytes: [0xFF, 0xD8, 0xFF] }] },
+    png: { mime: 'image/png', signature: [{ offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }] },
+    gif: { mime: 'image/gif', signature: [{ offset: 0, bytes: 'GIF8' }] },
+    webp: { mime: 'image/webp', signature: [{ offset: 0, bytes: 'RIFF' }, { offset: 8, bytes: 'WEBP' }] },
+    pdf: { mime: 'application/pdf', signature: [{ offset: 0, bytes: '%PDF-' }] },
+});
+
+/**
+ * List configured upload purposes
+ * @returns {String[]}  Keys of `upload.purposes`
+ */
+exports.getPurposes = () => _.keys(configuration.get('upload.purposes'));
+
+/**
+ * Get the largest size allowed by any purpose, to stop reading a request body early
+ * @returns {Number}  Size in bytes
+ */
+exports.getMaxSize = () => _.max(_.map(configuration.get('upload.purposes'), 'maxSize'));
+
+/**
+ * Get the folder files are stored in
+ * @returns {String}  `upload.root`, or `<tempFolder>/upload` if not set
+ */
+exports.getRoot = () => configuration.get('upload.root') || path.join(configuration.get('tempFolder'), 'upload');
+
+/**
+ * Get location of a stored file on disk
+ * @param {Object} file  Row of table `file`
+ * @returns {String}  Absolute path
+ */
+exports.getFilePath = (file) => path.resolve(exports.getRoot(), file.path);
+
+/**
+ * Detect type of content from its first bytes
+ * @param {Buffer} buffer  File content
+ * @returns {String}  Extension, e.g. `png`, or `undefined` if type is not known
+ */
+exports.detectType = (buffer) => _.findKey(TYPES, ({ signature }) => _.every(signature, ({ offset, bytes }) => {
+    const expected = Buffer.from(bytes);
+    return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+}));
+
+/**
+ * Decode base64 content, with or without a data url prefix (`data:image/png;base64,`)
+ * @param {String} data  Base64 content
+ * @returns {Buffer}  File content
+ * @throws {Error}  Error code `010005` if content is not base64
+ */
+exports.decodeBase64 = (data) => {
+    const error = new Error();
+    const base64 = _.replace(_.replace(data, DATA_URL_PREFIX, ''), /\s/g, '');
+    if (!_.isString(data) || !BASE64.test(base64) || base64.length % 4 !== 0) {
+        error.code = '010005';
+        error.status = 400;
+        throw error;
+    };
+    return cmUtils.base64ToBuffer(base64);
+};
+
+/**
+ * Check content against size and types allowed for a purpose
+ * @param {Buffer} buffer  File content
+ * @param {String} purpose  Upload purpose
+ * @returns {String}  Detected extension
+ * @throws {Error}  Error code `010001` if content is empty, `010002` if too large, `010003` if type is not allowed
+ */
+exports.check = (buffer, purpose) => {
+    const error = new Error();
+    const { maxSize, types } = configuration.get(`upload.purposes.${purpose}`);
+
+    if (_.isEmpty(buffer)) {
+        error.code = '010001';
+        error.status = 400;
+        throw error;
+    };
+
+    if (buffer.length > maxSize) {
+        error.code = '010002';
+        error.status = 413;
+        error.params = { maxSize: maxSize };
+        throw error;
+    };
+
+    const extension = exports.detectType(buffer);
+    if (!_.includes(types, extension)) {
+        error.code = '010003';
+        error.status = 415;
+        error.params = { types: types.join(', ') };
+        throw error;
+    };
+    return extension;
+};
+
+/**
+ * Write content to a new file under `upload.root`. Does not check size or type, see `check()`.
+ * @async
+ * @param {Buffer} buffer  File content
+ * @returns {Promise<Object>}  `{ path, mime_type, extension, size, checksum }` to store in table `file`
+ */
+exports.write = async (buffer) => {
+    const extension = exports.detectType(buffer);
+    const type = _.isNil(extension) ? UNKNOWN_TYPE : { extension: extension, mime: TYPES[extension].mime };
+
+    const relativePath = `${cmUtils.generateFolderByDate()}/${cmUtils.getImageName(type.extension)}`;
+    const filePath = path.resolve(exports.getRoot(), relativePath);
+    await cmUtils.saveFile(buffer, filePath);
+
+    return {
+        path: relativePath,
+        mime_type: type.mime,
+        extension: type.extension,
+        size: buffer.length,
+        checksum: crypto.createHash('md5').update(buffer).digest('hex'),
+    };
+};
+
+/**
+ * Check and store an uploaded file
+ * @async
+ * @param {Buffer} buffer  File content
+ * @param {Object} [options]
+ * @param {String} [options.purpose='file']  Upload purpose
+ * @param {String} [options.originalName]  File name sent by client
+ * @param {Number} [options.uploadedBy]  Id of user uploading the file
+ * @returns {Promise<Object>}  Created row of table `file`
+ */
+exports.save = async (buffer, { purpose = 'file', originalName, uploadedBy } = {}) => {
+    exports.check(buffer, purpose);
+    const written = await exports.write(buffer);
+
+    try {
+        return await SQL.file.create(Object.assign({
+            purpose: purpose,
+            original_name: _.isEmpty(originalName) ? null : path.basename(originalName).slice(0, 255),
+            uploaded_by: uploadedBy,
+        }, written));
+    } catch (err) {
+        await cmUtils.deleteFile(exports.getFilePath(written)); // no row points to it
+        throw err;
+    }
+};
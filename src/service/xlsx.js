@@ -0,0 +1,128 @@
+/*
+ * Copyright (C) 2023
+ *
+ * Unauthorized copying of this file, via any medium is strictly prohibited
+ * Proprietary and confidential
+ */
+'use strict';
+
+/**
+ * @fileoverview Excel (XLSX) workbooks streamed to the response while rows are added, so large
+ * reports are never held in memory. Sheets are written one after the other: add every row of a
+ * sheet before adding the next sheet.
+ * Excel dates have no time zone, so dates are written as the wall clock time in `timeZoneString`. */
+
+const _ = require('lodash');
+const ExcelJS = require('exceljs');
+const cmUtils = require('../../common/utils');
+const configuration = require('../../configuration');
+
+const MAX_SHEET_NAME = 31;
+const INVALID_SHEET_CHARS = /[[\]:*?/\\]/g;
+
+const DATE_FORMATS = Object.freeze({ // by column type
+    date: 'yyyy-mm-dd',
+    datetime: 'yyyy-mm-dd hh:mm:ss',
+});
+
+/**
+ * Start a workbook that is streamed as the answer of a request
+ * @param {Response} res  Express response
+ * @param {String} name  File name without extension, a timestamp is added to it
+ * @returns {Object}  `{ addSheet, commit }`
+ */
+exports.createWorkbook = (res, name) => {
+    res.attachment(`${name}-${cmUtils.convertStringtoDateWithFormat(new Date(), 'YYYYMMDDHHmmss')}.xlsx`);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: true,
+        useSharedStrings: false, // shared strings are held in memory until commit
+    });
+    const sheetNames = [];
+    let current;
+
+    return {
+        /**
+         * Add a sheet with a header row. The previous sheet is written and cannot get more rows.
+         * @param {String} sheetName  Sheet name, made valid and unique within the workbook
+         * @param {Object[]} columns  `{ header, key, width, type }`, `type` is `date` or `datetime` for date columns
+         * @returns {Object}  `{ addRow(values) }`, `values` are keyed by column key
+         */
+        addSheet: (sheetName, columns) => {
+            if (!_.isNil(current)) {
+                current.commit();
+            }
+
+            const uniqueName = _getSheetName(sheetNames, sheetName);
+            sheetNames.push(uniqueName);
+            current = workbook.addWorksheet(uniqueName, {
+                views: [{ state: 'frozen', ySplit: 1 }], // header row stays visible
+            });
+            current.columns = _.map(columns, (column) => ({
+                header: column.header,
+                key: column.key,
+                width: column.width || 15,
+                style: _.has(DATE_FORMATS, column.type) ? { numFmt: DATE_FORMATS[column.type] } : {},
+            }));
+            current.getRow(1).font = { bold: true };
+            current.getRow(1).commit();
+
+            const sheet = current;
+            const dateKeys = _.map(_.filter(columns, (column) => _.has(DATE_FORMATS, column.type)), 'key');
+            return {
+                addRow: (values) => {
+                    const row = _.mapValues(_.keyBy(columns, 'key'), (column, key) => {
+                        const value = _.get(values, key);
+                        return (_.includes(dateKeys, key) && !_.isNil(value)) ? exports.toLocalDate(value) : value;
+                    });
+                    sheet.addRow(row).commit();
+                },
+            };
+        },
+
+        /**
+         * Write the last sheet and end the response
+         * @async
+         * @returns {Promise<void>}
+         */
+        commit: async () => {
+            if (!_.isNil(current)) {
+                current.commit();
+            }
+            await workbook.commit();
+        },
+    };
+};
+
+/**
+ * Convert a time into a date whose UTC fields are the wall clock time in `timeZoneString`, as
+ * Excel shows dates the way they are written
+ * @param {Date|String} value  Time
+ * @returns {Date}  Date to write in a cell
+ */
+exports.toLocalDate = (value) => {
+    const parts = _.fromPairs(_.map(new Intl.DateTimeFormat('en-US', {
+        timeZone: configuration.get('timeZoneString'),
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(new Date(value)), ({ type, value: part }) => [type, Number(part)]));
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// Excel sheet names are unique regardless of case, at most 31 characters and cannot have []:*?/\ characters
+function _getSheetName(sheetNames, name) {
+    const used = _.map(sheetNames, _.toLower);
+    const base = _.trim(_.replace(_.replace(name, INVALID_SHEET_CHARS, ' '), /\s+/g, ' ')).slice(0, MAX_SHEET_NAME) || 'Sheet';
+
+    let sheetName = base;
+    for (let index = 2; _.includes(used, _.toLower(sheetName)); index++) {
+        const suffix = ` (${index})`;
+        sheetName = `${base.slice(0, MAX_SHEET_NAME - suffix.length)}${suffix}`;
+    }
+    return sheetName;
+}
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+    const audit = sequelize.define('audit',
+        {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: DataTypes.INTEGER,
+                unique: true,
+            },
+            entity: {
+                type: DataTypes.STRING(100), // table name
+                allowNull: false,
+            },
+            entity_id: {
+                type: DataTypes.STRING(100), // primary key of changed row
+                allowNull: false,
+            },
+            action: {
+                type: DataTypes.STRING(10), // create | update | delete
+                allowNull: false,
+            },
+            before: {
+                type: DataTypes.JSON, // changed columns before change, `null` for create
+            },
+            after: {
+                type: DataTypes.JSON, // changed columns after change, `null` for delete
+            },
+            actor_id: {
+                type: DataTypes.INTEGER, // `null` if no user was logged in, e.g. login
+            },
+            actor_name: {
+                type: DataTypes.STRING(255),
+            },
+            ip: {
+                type: DataTypes.STRING(45),
+            },
+            request_id: {
+                type: DataTypes.STRING(128),
+            },
+        },
+        {
+            tableName: 'audit',
+            updatedAt: false, // audit rows are never changed
+        },
+    );
+
+    return audit;
+};
@@ -0,0 +1,63 @@
+const _ = require('lodash');
+
+module.exports = (sequelize, DataTypes) => {
+    const file = sequelize.define('file',
+        {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: DataTypes.INTEGER,
+                unique: true,
+            },
+            purpose: {
+                type: DataTypes.STRING(45), // key of `upload.purposes`
+                allowNull: false,
+            },
+            original_name: {
+                type: DataTypes.STRING(255), // name sent by client, only used for download
+            },
+            path: {
+                type: DataTypes.STRING(255), // relative to `upload.root`
+                allowNull: false,
+            },
+            mime_type: {
+                type: DataTypes.STRING(100), // detected from content, not from name
+                allowNull: false,
+            },
+            extension: {
+                type: DataTypes.STRING(10),
+                allowNull: false,
+            },
+            size: {
+                type: DataTypes.INTEGER, // bytes
+                allowNull: false,
+            },
+            checksum: {
+                type: DataTypes.STRING(32), // md5 of content
+                allowNull: false,
+            },
+            uploaded_by: {
+                type: DataTypes.INTEGER, // user id
+            },
+        },
+        {
+            scopes: {
+                primaryKey: (id) => {
+                    return {
+                        where: {
+                            id: id,
+                        },
+                    };
+                },
+            },
+            tableName: 'file',
+        },
+    );
+
+    // location on disk is internal
+    file.prototype.toJSON = function toJSON() {
+        return _.omit(this.get(), ['path']);
+    };
+
+    return file;
+};
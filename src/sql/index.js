@@ -10,20 +10,28 @@ const _ = require('lodash');
 const Sequelize = require('sequelize');
 const path = require('path');
 const cmUtils = require('../../common/utils');
+const cmMetrics = require('../../common/metrics');
 const Configuration = require('../../configuration');
-const databaseName = Configuration.get('database.sql.database');
-const databaseHost = Configuration.get('database.sql.host');
+const isSqlite = Configuration.get('database.sql.dialect') === 'sqlite';
+const databaseName = isSqlite ? (Configuration.get('database.sql.storage') || ':memory:') : Configuration.get('database.sql.database');
+const databaseHost = isSqlite ? 'local' : Configuration.get('database.sql.host');
 const basename = path.basename(__filename);
 
 const db = {};
 
-const sequelizeSettings = _.omit(Configuration.get('database.sql'), 'custom');
+// sqlite stores dates in UTC text and does not support `timezone`
+const sequelizeSettings = _.omit(Configuration.get('database.sql'), isSqlite ? ['custom', 'timezone'] : ['custom']);
+if (isSqlite) {
+    // empty storage would open a separate temporary database for every connection
+    sequelizeSettings.storage = databaseName;
+}
 
 // establish connection to mssql database
 const sequelize = new Sequelize(Object.assign({}, sequelizeSettings, {
     benchmark: true,
-    logging: (msg) => {
+    logging: (msg, duration) => {
         log.info(`${msg}`);
+        cmMetrics.observeQuery(msg, duration); // `duration` is set by `benchmark`
     },
     operatorsAliases: false,
     define: { // Options for all tables
@@ -40,12 +48,18 @@ const sequelize = new Sequelize(Object.assign({}, sequelizeSettings, {
     },
 }));
 
+cmMetrics.observeDatabase(sequelize);
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 module.exports = db;
 
-
-(async () => {
+/**
+ * Resolves when models are loaded (and synced, if `database.sql.custom.sync` is on).
+ * Wait for it before using any model outside of a request, e.g. in scripts and tests.
+ * @type {Promise<void>}
+ */
+db.ready = (async () => {
     try {
         await sequelize.authenticate();
         log.info(`Connection database:${databaseName} in host:${databaseHost} has been established successfully.`);
@@ -78,4 +92,9 @@ module.exports = db;
             db[modelName].associate(db);
         }
     });
+
+    if (Configuration.get('database.sql.custom.sync')) {
+        await sequelize.sync();
+        log.info(`Tables of database:${databaseName} are synced with models.`);
+    }
 })();
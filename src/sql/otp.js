@@ -0,0 +1,42 @@
+
+module.exports = (sequelize, DataTypes) => {
+    const otp = sequelize.define('otp',
+        {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: DataTypes.INTEGER,
+                unique: true,
+            },
+            purpose: {
+                type: DataTypes.STRING(45), // key of `auth.otp.expiretime`
+                allowNull: false,
+            },
+            target: {
+                type: DataTypes.STRING(255), // email or phone the code was sent to
+                allowNull: false,
+            },
+            code: {
+                type: DataTypes.STRING(255), // scrypt hash, see common/password.js
+                allowNull: false,
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                defaultValue: 0,
+                allowNull: false,
+            },
+            expired_at: {
+                type: DataTypes.DATE,
+                allowNull: false,
+            },
+            used_at: {
+                type: DataTypes.DATE,
+            },
+        },
+        {
+            tableName: 'otp',
+        },
+    );
+
+    return otp;
+};
\ No newline at end of file
@@ -37,6 +37,10 @@ module.exports = (sequelize, DataTypes) => {
             foreignKey: 'role',
             sourceKey: 'role_code',
         });
+        role.hasMany(Models.role_permission, {
+            foreignKey: 'role_code',
+            sourceKey: 'role_code',
+        });
     };
 
     return role;
@@ -0,0 +1,35 @@
+
+module.exports = (sequelize, DataTypes) => {
+    const rolePermission = sequelize.define('role_permission',
+        {
+            id: {
+                primaryKey: true,
+                autoIncrement: true,
+                type: DataTypes.INTEGER,
+                unique: true,
+            },
+            role_code: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                unique: 'role_permission_unique',
+            },
+            permission: {
+                type: DataTypes.STRING(100), // value of `cmEnum.Permission`
+                allowNull: false,
+                unique: 'role_permission_unique',
+            },
+        },
+        {
+            tableName: 'role_permission',
+        },
+    );
+
+    rolePermission.associate = (Models) => {
+        rolePermission.belongsTo(Models.role, {
+            foreignKey: 'role_code',
+            targetKey: 'role_code',
+        });
+    };
+
+    return rolePermission;
+};
\ No newline at end of file
@@ -1,6 +1,7 @@
+const _ = require('lodash');
 
 module.exports = (sequelize, DataTypes) => {
-    const role = sequelize.define('user',
+    const user = sequelize.define('user',
         {
             id: {
                 primaryKey: true,
@@ -13,7 +14,7 @@ module.exports = (sequelize, DataTypes) => {
                 allowNull: false,
             },
             avatar: {
-                type: DataTypes.TEXT('long'),
+                type: DataTypes.INTEGER, // id of a `file` uploaded for purpose `avatar`, see src/service/upload.js
             },
             state: {
                 type: DataTypes.TINYINT(1),
@@ -40,6 +41,23 @@ module.exports = (sequelize, DataTypes) => {
             },
             email: {
                 type: DataTypes.STRING(255),
+                unique: 'user_email', // of deleted users as well
+            },
+            password: {
+                type: DataTypes.STRING(255), // scrypt hash, see common/password.js
+            },
+            failed_attempts: {
+                type: DataTypes.INTEGER, // consecutive failed logins, see `auth.login.maxFailAttempts`
+                defaultValue: 0,
+                allowNull: false,
+            },
+            locked_until: {
+                type: DataTypes.DATE, // login is refused until this time
+            },
+            token_version: {
+                type: DataTypes.INTEGER, // increase to revoke every issued token
+                defaultValue: 0,
+                allowNull: false,
             },
         },
         {
@@ -51,18 +69,31 @@ module.exports = (sequelize, DataTypes) => {
                         },
                     };
                 },
+                // emails are compared ignoring case, as by the unique index on MySQL
+                email: (email) => {
+                    return {
+                        where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), _.toLower(email)),
+                    };
+                },
             },
-            tableName: 'role',
+            tableName: 'user',
+            paranoid: true, // soft delete, rows are only flagged with `deleted_at`
+            deletedAt: 'deleted_at',
         },
     );
 
-    role.associate = (Models) => {
-        role.belongsTo(Models.user, {
-            foreignKey: 'role_code',
-            sourceKey: 'role',
-        });
+    // never send credentials back to client
+    user.prototype.toJSON = function toJSON() {
+        return _.omit(this.get(), ['password', 'token_version']);
     };
 
-    return role;
-};
+    user.associate = (Models) => {
+        user.belongsTo(Models.role, {
+            as: 'role_info',
+            foreignKey: 'role',
+            targetKey: 'role_code',
+        });
+    };
 
+    return user;
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+
+describe('audit trail', () => {
+    let admin;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        admin = await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission) });
+    });
+
+    async function listAudit(query = '') {
+        const res = await helper.request('GET', `/audit/all${query}`, { token: admin.token });
+        assert.equal(res.body.errorCode, '0');
+        return res.body.data.items;
+    }
+
+    it('records create, update and delete with actor, ip and request id', async () => {
+        const created = await helper.request('POST', '/role/create', { token: admin.token, body: { roleCode: 2, roleName: 'Staff' } });
+        const roleId = created.body.data.id;
+        await helper.request('POST', `/role/update/${roleId}`, { token: admin.token, body: { roleName: 'Manager' }, headers: { 'X-Request-Id': 'audit-test' } });
+        await helper.request('POST', `/role/delete/${roleId}`, { token: admin.token });
+
+        const rows = await listAudit(`?entity=role&entity_id=${roleId}&SortBy=id`);
+        assert.deepEqual(_.map(rows, 'action'), ['create', 'update', 'delete']);
+        assert.equal(rows[0].before, null);
+        assert.equal(rows[0].after.role_name, 'Staff');
+        assert.deepEqual(rows[1].before, { role_name: 'Staff' });
+        assert.deepEqual(rows[1].after, { role_name: 'Manager' });
+        assert.equal(rows[1].request_id, 'audit-test');
+        assert.equal(rows[2].after, null);
+        _.each(rows, (row) => {
+            assert.equal(row.actor_id, admin.user.id);
+            assert.equal(row.actor_name, admin.user.user_name);
+            assert.ok(row.ip);
+        });
+    });
+
+    it('records every row of a bulk change and masks credentials', async () => {
+        const other = await helper.createUser({ roleCode: 2 });
+        await helper.request('POST', '/role/users/1', { token: admin.token, body: { userIds: [admin.user.id, other.user.id] } });
+        await helper.request('POST', `/user/reset-password/${other.user.id}`, { token: admin.token });
+
+        const rows = await listAudit(`?entity=user&SortBy=id`);
+        assert.deepEqual(_.map(rows, 'entity_id'), [String(other.user.id), String(other.user.id)]);
+        assert.deepEqual(rows[0].after, { role: 1 }); // admin already had role 1, nothing to record
+        assert.equal(rows[1].after.password, '******');
+        assert.equal(rows[1].before.password, '******');
+    });
+
+    it('does not record changes made outside of a request', async () => {
+        await SQL.role.update({ role_name: 'Renamed' }, { where: { role_code: 1 } });
+
+        assert.equal(await SQL.audit.count(), 0);
+    });
+
+    it('filters by actor and date range', async () => {
+        const other = await helper.createUser({ roleCode: 2, permissions: [cmEnum.Permission.ROLE_CREATE] });
+        await helper.request('POST', '/role/create', { token: admin.token, body: { roleCode: 3, roleName: 'By admin' } });
+        await helper.request('POST', '/role/create', { token: other.token, body: { roleCode: 4, roleName: 'By other' } });
+
+        const byOther = await listAudit(`?entity=role&actor_id=${other.user.id}`);
+        assert.deepEqual(_.map(byOther, 'after.role_name'), ['By other']);
+
+        assert.equal((await listAudit('?entity=role&from=2000-01-01')).length, 2);
+        assert.equal((await listAudit('?entity=role&to=2000-01-01')).length, 0);
+
+        const invalid = await helper.request('GET', '/audit/all?from=yesterday', { token: admin.token });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('requires audit:view permission', async () => {
+        const { token } = await helper.createUser({ roleCode: 2, permissions: [cmEnum.Permission.ROLE_VIEW] });
+
+        const res = await helper.request('GET', '/audit/all', { token });
+        assert.equal(res.status, 403);
+    });
+});
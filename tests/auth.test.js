@@ -0,0 +1,139 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+
+const EMAIL = 'jane@sunclover.test';
+const PASSWORD = 'Passw0rd!';
+
+describe('auth routes', () => {
+    let user;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ user } = await helper.createUser({ roleCode: 2, email: EMAIL }));
+    });
+
+    function login(password = PASSWORD) {
+        return helper.request('POST', '/auth/login', { body: { email: EMAIL, password } });
+    }
+
+    it('logs in with email in any case and answers tokens', async () => {
+        const res = await helper.request('POST', '/auth/login', { body: { email: 'Jane@Sunclover.test', password: PASSWORD } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.user.id, user.id);
+        assert.ok(!_.has(res.body.data.user, 'password'));
+        assert.ok(res.body.data.accessToken);
+        assert.ok(res.body.data.refreshToken);
+
+        const me = await helper.request('GET', '/auth/me', { token: res.body.data.accessToken });
+        assert.equal(me.body.data.email, EMAIL);
+
+        const unknown = await helper.request('POST', '/auth/login', { body: { email: 'nobody@sunclover.test', password: PASSWORD } });
+        assert.equal(unknown.status, 401);
+        assert.equal(unknown.body.errorCode, '004004');
+    });
+
+    it('refreshes tokens with a refresh token only', async () => {
+        const { accessToken, refreshToken } = (await login()).body.data;
+
+        const refreshed = await helper.request('POST', '/auth/refresh', { body: { refreshToken } });
+        assert.equal(refreshed.body.errorCode, '0');
+        const me = await helper.request('GET', '/auth/me', { token: refreshed.body.data.accessToken });
+        assert.equal(me.body.data.id, user.id);
+
+        const access = await helper.request('POST', '/auth/refresh', { body: { refreshToken: accessToken } });
+        assert.equal(access.status, 401);
+        assert.equal(access.body.errorCode, '004002');
+
+        const asAccess = await helper.request('GET', '/auth/me', { token: refreshToken });
+        assert.equal(asAccess.status, 401);
+
+        const none = await helper.request('POST', '/auth/refresh', { body: {} });
+        assert.equal(none.body.errorCode, '004003');
+    });
+
+    it('revokes every token of the user on logout', async () => {
+        const first = (await login()).body.data;
+        const second = (await login()).body.data;
+
+        const out = await helper.request('POST', '/auth/logout', { token: first.accessToken });
+        assert.equal(out.body.errorCode, '0');
+        assert.equal((await SQL.user.findByPk(user.id)).token_version, user.token_version + 1);
+
+        const me = await helper.request('GET', '/auth/me', { token: second.accessToken });
+        assert.equal(me.status, 401);
+        const refreshed = await helper.request('POST', '/auth/refresh', { body: { refreshToken: second.refreshToken } });
+        assert.equal(refreshed.body.errorCode, '004002');
+
+        const again = (await login()).body.data;
+        assert.equal((await helper.request('GET', '/auth/me', { token: again.accessToken })).status, 200);
+    });
+
+    it('changes password, logging out other devices', async () => {
+        const other = (await login()).body.data;
+        const { accessToken } = (await login()).body.data;
+        function changePassword(oldPassword, newPassword) {
+            return helper.request('POST', '/auth/change-password', { token: accessToken, body: { oldPassword, newPassword } });
+        }
+
+        assert.equal((await changePassword('Wr0ng!pass', 'N3w!Password')).body.errorCode, '004009');
+        assert.equal((await changePassword(PASSWORD, PASSWORD)).body.errorCode, '004010');
+        assert.equal((await changePassword(PASSWORD, 'short')).body.errorCode, '004007');
+        assert.equal((await changePassword(PASSWORD, 'nospecialchars1')).body.errorCode, '004008');
+        assert.equal((await login()).body.errorCode, '0'); // unchanged so far
+
+        const changed = await changePassword(PASSWORD, 'N3w!Password');
+        assert.equal(changed.body.errorCode, '0');
+        assert.equal((await helper.request('GET', '/auth/me', { token: other.accessToken })).status, 401);
+        assert.equal((await helper.request('GET', '/auth/me', { token: changed.body.data.accessToken })).status, 200);
+
+        assert.equal((await login()).body.errorCode, '004004');
+        assert.equal((await login('N3w!Password')).body.errorCode, '0');
+    });
+
+    it('locks the account after too many failed logins', async () => {
+        for (let attempt = 1; attempt < 5; attempt++) {
+            const failed = await login('Wr0ng!pass');
+            assert.equal(failed.status, 401);
+            assert.equal(failed.body.errorCode, '004004');
+        }
+
+        const locked = await login('Wr0ng!pass');
+        assert.equal(locked.status, 423);
+        assert.equal(locked.body.errorCode, '004006');
+        assert.equal(locked.headers.get('retry-after'), '60');
+
+        const right = await login();
+        assert.equal(right.body.errorCode, '004006'); // even with the right password
+    });
+
+    it('counts failed logins sent at the same time', async () => {
+        await Promise.all(_.times(8, () => login('Wr0ng!pass')));
+
+        const saved = await SQL.user.findByPk(user.id);
+        assert.notEqual(saved.locked_until, null);
+        assert.equal((await login()).body.errorCode, '004006');
+    });
+
+    it('lets a locked user in once the lock expires or an admin unlocks it', async () => {
+        await SQL.user.update({ locked_until: new Date(Date.now() - 1000), failed_attempts: 3 }, { where: { id: user.id } });
+        const expired = await login();
+        assert.equal(expired.body.errorCode, '0');
+        assert.equal((await SQL.user.findByPk(user.id)).failed_attempts, 0);
+
+        await SQL.user.update({ locked_until: new Date(Date.now() + 60000) }, { where: { id: user.id } });
+        const admin = await helper.createUser({ roleCode: 1, permissions: [cmEnum.Permission.USER_UNLOCK] });
+        const unlocked = await helper.request('POST', `/user/unlock/${user.id}`, { token: admin.token });
+        assert.equal(unlocked.body.errorCode, '0');
+        assert.equal((await login()).body.errorCode, '0');
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert/strict');
+const { spawnSync } = require('child_process');
+const { describe, it } = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Load configuration in a new process, because it is read once when first required
+ * @param {Object} env  Extra environment variables
+ * @param {String} expression  Expression to print, `configuration` is in scope
+ * @returns {Object}  `{ status, output }`, `output` is the printed JSON or error text
+ */
+function loadConfiguration(env, expression) {
+    const script = `global.settings = 'tests/setting.js';
+        const configuration = require('./configuration');
+        process.stdout.write(JSON.stringify(${expression}));`;
+    const result = spawnSync(process.execPath, ['-e', script], {
+        cwd: ROOT,
+        env: Object.assign({}, process.env, env),
+        encoding: 'utf8',
+    });
+    // JSON is printed last, after startup logs
+    return { status: result.status, output: result.status === 0 ? JSON.parse(result.stdout.split('\n').pop()) : result.stderr };
+}
+
+describe('configuration', () => {
+    it('overrides settings with prefixed environment variables', () => {
+        const { output } = loadConfiguration({
+            SUNCLOVER_SERVER__HTTP__PORT: '9000',
+            SUNCLOVER_SERVER__COOKIE__SECRET_KEY: 'cookie-secret',
+            SUNCLOVER_SERVER__CORS__ORIGIN: '["https://sunclover.test"]',
+            SUNCLOVER_DATABASE__SQL__PASSWORD: '123456',
+            SUNCLOVER_AUTH__SESSION__ENABLED: 'true',
+            SUNCLOVER_AUTH__SESSION__SECRET: 'session-secret',
+        }, `[
+            configuration.get('server.http.port'),
+            configuration.get('server.cookie.secretKey'),
+            configuration.get('server.cors.origin'),
+            configuration.get('database.sql.password'),
+            configuration.get('auth.session.enabled'),
+        ]`);
+
+        assert.deepEqual(output, [9000, 'cookie-secret', ['https://sunclover.test'], '123456', true]);
+    });
+
+    it('fails fast with every invalid setting', () => {
+        const { status, output } = loadConfiguration({
+            SUNCLOVER_SERVER__HTTP__PORT: 'abc',
+            SUNCLOVER_DATABASE__SQL__DIALECT: 'mysql',
+            SUNCLOVER_DATABASE__SQL__HOST: 'localhost',
+            SUNCLOVER_SERVER__IS_HTTPS: 'true',
+        }, 'null');
+
+        assert.notEqual(status, 0);
+        assert.match(output, /server\.http\.port must be an integer/);
+        assert.match(output, /server\.https\.ssl\.key is required/);
+        assert.match(output, /database\.sql\.username is required/);
+        assert.doesNotMatch(output, /database\.sql\.host/);
+    });
+
+    it('masks secrets', () => {
+        const { output } = loadConfiguration({
+            SUNCLOVER_SMS__NEXMO__API_KEY: 'nexmo-key',
+            SUNCLOVER_MAIL__CONFIG__AUTH: '{"user":"mailer","pass":"mail-password"}',
+            SUNCLOVER_METRICS__TOKEN: 'metrics-token',
+        }, 'configuration.getMasked()');
+
+        assert.equal(output.auth.token.secret, '******');
+        assert.equal(output.sms.nexmo.apiKey, '******');
+        assert.equal(output.metrics.token, '******');
+        assert.deepEqual(output.mail.config.auth, { user: 'mailer', pass: '******' });
+        assert.equal(output.auth.token.key, 'x-access-token');
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+
+describe('csv import and export', () => {
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission) }));
+    });
+
+    function importCsv(url, lines) {
+        const body = new FormData();
+        body.append('file', new Blob([lines.join('\n')], { type: 'text/csv' }), 'import.csv');
+        return helper.request('POST', url, { token, body });
+    }
+
+    it('imports roles in one go', async () => {
+        const res = await importCsv('/role/import', ['role_code,role_name', '2,Staff', '3,"Manager, night shift"', '']);
+        assert.deepEqual(res.body.data, { total: 2, imported: 2 });
+
+        const roles = await SQL.role.findAll({ order: [['role_code', 'ASC']] });
+        assert.deepEqual(_.map(roles, 'role_name'), ['Role 1', 'Staff', 'Manager, night shift']);
+    });
+
+    it('reports every invalid row and imports nothing', async () => {
+        const res = await importCsv('/role/import', [
+            'role_code,role_name,ignored',
+            '1,Duplicated in database,x',
+            '4,Fine,x',
+            'abc,Not a number,x',
+            '4,Duplicated in file,x',
+            '5,,x',
+        ]);
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errorCode, '011001');
+        assert.match(res.body.message, /4 invalid row/);
+        assert.deepEqual(res.body.data, [
+            { line: 2, field: 'role_code', message: 'already exists' },
+            { line: 4, field: 'role_code', message: 'must be an integer' },
+            { line: 5, field: 'role_code', message: 'already exists' },
+            { line: 6, field: 'role_name', message: 'is required' },
+        ]);
+        assert.equal(await SQL.role.count(), 1);
+    });
+
+    it('rejects files without required columns or that are not CSV', async () => {
+        const missing = await importCsv('/role/import', ['role_name', 'Staff']);
+        assert.equal(missing.body.errorCode, '011002');
+
+        const broken = await importCsv('/role/import', ['role_code,role_name', '2,"Staff']);
+        assert.equal(broken.body.errorCode, '011004');
+
+        const none = await helper.request('POST', '/role/import', { token, body: new FormData() });
+        assert.equal(none.body.errorCode, '010001');
+    });
+
+    it('imports users checked against roles and emails', async () => {
+        const invalid = await importCsv('/user/import', [
+            'user_name,birth,start_day,role,email',
+            'Jane,1995-05-20,2023-01-02,9,jane@sunclover.test',
+            'John,1990-01-01,2023-01-02,1,not-an-email',
+        ]);
+        assert.deepEqual(invalid.body.data, [
+            { line: 2, field: 'role', message: 'is not an existing role code' },
+            { line: 3, field: 'email', message: 'must be a valid email' },
+        ]);
+
+        const res = await importCsv('/user/import', [
+            'user_name,birth,start_day,role,email',
+            'Jane,1995-05-20,2023-01-02,1,jane@sunclover.test',
+        ]);
+        assert.deepEqual(res.body.data, { total: 1, imported: 1 });
+
+        const user = await SQL.user.findOne({ where: { email: 'jane@sunclover.test' } });
+        assert.equal(user.password, null);
+        assert.equal(user.state, 0);
+    });
+
+    it('compares imported emails ignoring case, including deleted users', async () => {
+        await helper.createUser({ email: 'taken@sunclover.test' });
+        const deleted = await helper.createUser({ email: 'gone@sunclover.test' });
+        await deleted.user.destroy();
+
+        const res = await importCsv('/user/import', [
+            'user_name,birth,start_day,role,email',
+            'Jane,1995-05-20,2023-01-02,1,Taken@Sunclover.test',
+            'John,1990-01-01,2023-01-02,1,GONE@sunclover.test',
+            'Jim,1990-01-01,2023-01-02,1,jim@sunclover.test',
+            'Jimmy,1990-01-01,2023-01-02,1,JIM@sunclover.test',
+        ]);
+        assert.deepEqual(res.body.data, [
+            { line: 2, field: 'email', message: 'is already used by another user' },
+            { line: 3, field: 'email', message: 'is already used by another user' },
+            { line: 5, field: 'email', message: 'is already used by another user' },
+        ]);
+        assert.equal(await SQL.user.count(), 2);
+    });
+
+    it('exports rows matching list filters', async () => {
+        await importCsv('/role/import', ['role_code,role_name', '2,Staff', '3,Manager', '4,Staff lead']);
+
+        const res = await helper.request('GET', '/role/export?role_name=staff&SortBy=role_code&SortOrder=DESC', { token });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="role-\d{14}\.csv"/);
+
+        const lines = _.compact(res.body.split('\n'));
+        assert.equal(lines[0], 'id,role_code,role_name,created_at,updated_at');
+        assert.deepEqual(_.map(lines.slice(1), (line) => line.split(',')[2]), ['Staff lead', 'Staff']);
+
+        const invalid = await helper.request('GET', '/role/export?SortBy=nope', { token });
+        assert.equal(invalid.body.errorCode, '003003');
+    });
+
+    it('exports users without credentials in a format it can import again', async () => {
+        const res = await helper.request('GET', '/user/export', { token });
+        const [header, row] = _.compact(res.body.split('\n'));
+        assert.ok(!_.includes(header, 'password'));
+
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: [cmEnum.Permission.USER_CREATE] }));
+
+        const imported = await importCsv('/user/import', [header, row]);
+        assert.deepEqual(imported.body.data, { total: 1, imported: 1 });
+    });
+
+    it('escapes cells a spreadsheet would run as a formula', async () => {
+        const { user } = await helper.createUser();
+        await user.update({ user_name: '=HYPERLINK("http://evil.test")', address: '@SUM(A1)', phone: '+65 9123 4567' });
+
+        const res = await helper.request('GET', '/user/export?SortBy=id&SortOrder=DESC', { token });
+        const [header, row] = _.compact(res.body.split('\n'));
+        assert.match(row, /,"'=HYPERLINK\(""http:\/\/evil.test""\)",/);
+        assert.match(row, /,'@SUM\(A1\),/);
+        assert.match(row, /,\+65 9123 4567,/);
+
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: [cmEnum.Permission.USER_CREATE] }));
+
+        const imported = await importCsv('/user/import', [header, row]);
+        assert.deepEqual(imported.body.data, { total: 1, imported: 1 });
+        const copy = await SQL.user.findOne({ where: { email: user.email } });
+        assert.equal(copy.user_name, '=HYPERLINK("http://evil.test")');
+        assert.equal(copy.address, '@SUM(A1)');
+        assert.equal(copy.phone, '+65 9123 4567');
+    });
+});
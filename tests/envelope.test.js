@@ -0,0 +1,85 @@
+'use strict';
+
+const helper = require('./helper');
+
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const cmEnum = require('../common/enum');
+
+describe('response envelope', () => {
+    let token;
+
+    before(async () => {
+        await helper.start();
+        ({ token } = await helper.createUser({ permissions: [cmEnum.Permission.ROLE_VIEW, cmEnum.Permission.ROLE_DELETE] }));
+    });
+
+    after(helper.stop);
+
+    it('wraps answer in a success envelope', async () => {
+        const res = await helper.request('GET', '/role/permissions', { token });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.errorCode, '0');
+        assert.equal(res.body.message, 'Success');
+        assert.deepEqual(res.body.data, Object.values(cmEnum.Permission));
+    });
+
+    it('returns error code and message of a DataResponse error', async () => {
+        const res = await helper.request('GET', '/role/detail/999', { token });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.errorCode, '001001');
+        assert.match(res.body.message, /^Error #[0-9a-f]{8}: Not found role id\.$/);
+        assert.equal(res.body.data, undefined);
+    });
+
+    it('fills message placeholders with error params', async () => {
+        const role = await helper.createUser({ roleCode: 5 });
+        await helper.createUser({ roleCode: 5 });
+
+        const res = await helper.request('POST', `/role/delete/${role.user.role}`, { token });
+        assert.equal(res.body.errorCode, '001001'); // path takes role id, not role code
+
+        const { id } = await require('../src/sql').role.findOne({ where: { role_code: 5 } });
+        const blocked = await helper.request('POST', `/role/delete/${id}`, { token });
+        assert.equal(blocked.body.errorCode, '001005');
+        assert.match(blocked.body.message, /Role is still assigned to 2 user\(s\)\.$/);
+    });
+
+    it('uses the HTTP status of the error', async () => {
+        const noToken = await helper.request('GET', '/role/all');
+        assert.equal(noToken.status, 401);
+        assert.equal(noToken.body.errorCode, '1');
+
+        const badToken = await helper.request('GET', '/role/all', { token: 'not-a-jwt' });
+        assert.equal(badToken.status, 401);
+        assert.equal(badToken.body.errorCode, '004002');
+
+        const forbidden = await helper.request('POST', '/role/create', { token, body: { roleCode: 9, roleName: 'Guest' } });
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.body.errorCode, '007001');
+    });
+
+    it('lists invalid fields in data of a validation error', async () => {
+        const res = await helper.request('GET', '/role/detail/abc', { token });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errorCode, '008001');
+        assert.deepEqual(res.body.data, [{ location: 'params', field: 'roleId', message: 'must be an integer' }]);
+    });
+
+    it('echoes request id, or generates one', async () => {
+        const sent = await helper.request('GET', '/role/all', { token, headers: { 'X-Request-Id': 'trace-42' } });
+        assert.equal(sent.headers.get('x-request-id'), 'trace-42');
+
+        const generated = await helper.request('GET', '/role/all', { token, headers: { 'X-Request-Id': 'not safe to log' } });
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+
+    it('answers 404 when no router handles the path', async () => {
+        const res = await helper.request('GET', '/nothing-here', { token });
+
+        assert.equal(res.status, 404);
+    });
+});
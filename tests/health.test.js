@@ -0,0 +1,38 @@
+'use strict';
+
+const helper = require('./helper');
+
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const mainApp = require('../app');
+
+describe('health routes', () => {
+    before(helper.start);
+    after(helper.stop);
+
+    it('reports live and ready without authentication', async () => {
+        const live = await helper.request('GET', '/health/live');
+        assert.equal(live.status, 200);
+        assert.deepEqual(live.body.data, { status: 'UP' });
+
+        const ready = await helper.request('GET', '/health/ready');
+        assert.equal(ready.status, 200);
+        assert.deepEqual(ready.body.data, { status: 'UP' });
+    });
+
+    it('is not ready while shutting down', async () => {
+        const { app } = await mainApp;
+        app.locals.shuttingDown = true;
+
+        try {
+            const ready = await helper.request('GET', '/health/ready');
+            assert.equal(ready.status, 503);
+            assert.equal(ready.body.errorCode, '009001');
+
+            const live = await helper.request('GET', '/health/live');
+            assert.equal(live.status, 200);
+        } finally {
+            app.locals.shuttingDown = false;
+        }
+    });
+});
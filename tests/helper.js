@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * @fileoverview Test harness. Boots the app exported by app.js in-process (without main.js)
+ * against the in-memory SQLite database of ./setting.js, and sends real HTTP requests to it.
+ * Must be required before any other file of the app so the test settings are used:
+ *      const helper = require('./helper');
+ *      before(helper.start);
+ *      after(helper.stop); */
+
+global.settings = 'tests/setting.js';
+
+const _ = require('lodash');
+const SQL = require('../src/sql');
+const cmAuth = require('../common/auth');
+const cmPassword = require('../common/password');
+const mainApp = require('../app');
+
+let server;
+let baseUrl;
+
+/**
+ * Start the app on a random local port
+ * @async
+ * @returns {Promise<void>}
+ */
+exports.start = async () => {
+    const { app } = await mainApp;
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+/**
+ * Stop the app and close the database
+ * @async
+ * @returns {Promise<void>}
+ */
+exports.stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await SQL.sequelize.close();
+};
+
+/**
+ * Drop and create every table again
+ * @async
+ * @returns {Promise<void>}
+ */
+exports.resetDatabase = async () => {
+    await SQL.sequelize.sync({ force: true });
+};
+
+/**
+ * Send a request to the app
+ * @async
+ * @param {String} method  HTTP method
+ * @param {String} url  Path, e.g. `/role/all?Page=2`
+ * @param {Object} [options]
+ * @param {Object|FormData} [options.body]  JSON body, or multipart body if a `FormData`
+ * @param {String} [options.token]  Access token
+ * @param {Object} [options.headers]  Extra request headers
+ * @returns {Promise<Object>}  `{ status, headers, body, raw }`, `body` is parsed JSON or text, `raw` is a Buffer
+ */
+exports.request = async (method, url, { body, token, headers: extraHeaders } = {}) => {
+    const isForm = body instanceof FormData; // fetch sets content type with multipart boundary
+    const headers = Object.assign(isForm ? {} : { 'content-type': 'application/json' }, extraHeaders);
+    if (!_.isNil(token)) {
+        headers.authorization = `Bearer ${token}`;
+    }
+
+    const res = await fetch(`${baseUrl}${url}`, {
+        method: method,
+        headers: headers,
+        body: (_.isNil(body) || isForm) ? body : JSON.stringify(body),
+    });
+    const raw = Buffer.from(await res.arrayBuffer());
+    const text = raw.toString();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        // not json, e.g. `sendStatus()`
+    }
+    return { status: res.status, headers: res.headers, body: parsed, raw: raw };
+};
+
+/**
+ * Create a role and a user of that role
+ * @async
+ * @param {Object} [options]
+ * @param {Number} [options.roleCode=1]  Role code, the role is created if it does not exist
+ * @param {String[]} [options.permissions=[]]  Permissions granted to the role
+ * @param {String} [options.email]  Email of user
+ * @param {String} [options.password='Passw0rd!']  Password of user
+ * @returns {Promise<Object>}  `{ user, token }`, `token` is an access token of user
+ */
+exports.createUser = async ({ roleCode = 1, permissions = [], email, password = 'Passw0rd!' } = {}) => {
+    const [role] = await SQL.role.findOrCreate({
+        where: { role_code: roleCode },
+        defaults: { role_name: `Role ${roleCode}` },
+    });
+    await SQL.role_permission.bulkCreate(_.map(permissions, (permission) => ({ role_code: role.role_code, permission: permission })));
+
+    const user = await SQL.user.create({
+        user_name: 'Test User',
+        birth: '1990-01-01',
+        start_day: '2020-01-01',
+        role: role.role_code,
+        email: email || `user${_.uniqueId()}@sunclover.test`,
+        password: await cmPassword.hash(password),
+    });
+    return { user, token: cmAuth.signTokens(user).accessToken };
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+// settings of this test file only, every test file runs in its own process
+process.env.SUNCLOVER_MAIL__CONTENT__CC = '["audit@sunclover.test"]';
+
+const helper = require('./helper');
+
+const fs = require('fs');
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const mail = require('../src/service/mail');
+
+describe('mail service', () => {
+    before(helper.start);
+    after(helper.stop);
+
+    it('fills a template and adds subject prefix and footer', () => {
+        const message = mail.render({ subject: 'Hello $name', body: 'Your code is $code.' }, { name: 'Jane', code: '123456' });
+        assert.equal(message.subject, '[dbo] Hello Jane');
+        assert.equal(message.text, 'Your code is 123456.\n\n--\nThis is a computer-generated message, please do not reply to this email.');
+    });
+
+    it('writes mails to the outbox folder', async () => {
+        const { messageId } = await mail.send('otp', 'jane@sunclover.test', { code: '123456', minutes: 1 });
+        assert.match(messageId, /\.eml$/);
+
+        const eml = await fs.promises.readFile(messageId, 'utf8');
+        assert.match(eml, /^From: noreply@sunclover\.test$/m);
+        assert.match(eml, /^To: jane@sunclover\.test$/m);
+        assert.match(eml, /^Cc: audit@sunclover\.test$/m);
+        assert.match(eml, /^Subject: \[dbo\] Your verification code$/m);
+        assert.match(eml, /Your verification code is 123456\. It expires in 1 minute\(s\)\./);
+    });
+
+    it('rejects unknown templates', async () => {
+        await assert.rejects(mail.send('nope', 'jane@sunclover.test'), /Mail template nope does not exist/);
+    });
+});
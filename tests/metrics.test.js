@@ -0,0 +1,51 @@
+'use strict';
+
+// settings of this test file only, every test file runs in its own process
+process.env.SUNCLOVER_METRICS__ENABLED = 'true';
+process.env.SUNCLOVER_METRICS__TOKEN = 'test-metrics-token';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const cmEnum = require('../common/enum');
+
+describe('metrics', () => {
+    let token;
+
+    before(async () => {
+        await helper.start();
+        ({ token } = await helper.createUser({ permissions: [cmEnum.Permission.ROLE_VIEW] }));
+    });
+
+    after(helper.stop);
+
+    it('exposes request, database and process metrics in Prometheus format', async () => {
+        await helper.request('GET', '/role/detail/1', { token });
+        await helper.request('GET', '/role/detail/abc', { token });
+        await helper.request('GET', '/role/all');
+        await helper.request('GET', '/nothing-here');
+
+        const res = await helper.request('GET', '/metrics', { token: 'test-metrics-token' });
+        const lines = _.split(res.body, '\n');
+
+        assert.equal(res.status, 200);
+        assert.ok(_.includes(lines, 'sunclover_http_requests_total{method="GET",route="/role/detail/:roleId",status_code="200"} 1'));
+        assert.ok(_.includes(lines, 'sunclover_http_requests_total{method="GET",route="/role/detail/:roleId",status_code="400"} 1'));
+        assert.ok(_.includes(lines, 'sunclover_http_requests_total{method="GET",route="/role",status_code="401"} 1'));
+        assert.ok(_.includes(lines, 'sunclover_http_requests_total{method="GET",route="unmatched",status_code="404"} 1'));
+        assert.ok(_.some(lines, (line) => _.startsWith(line, 'sunclover_http_request_duration_seconds_bucket{le="0.005",method="GET",route="/role/detail/:roleId"')));
+        assert.ok(_.some(lines, (line) => /^sunclover_db_query_duration_seconds_count\{type="SELECT"\} [1-9]/.test(line)));
+        assert.ok(_.some(lines, (line) => _.startsWith(line, 'sunclover_db_pool_connections{state="using"}')));
+        assert.ok(_.some(lines, (line) => _.startsWith(line, 'sunclover_process_cpu_seconds_total')));
+    });
+
+    it('answers only scrapers sending the token', async () => {
+        const anonymous = await helper.request('GET', '/metrics');
+        assert.equal(anonymous.status, 401);
+
+        const wrong = await helper.request('GET', '/metrics', { token: 'wrong' });
+        assert.equal(wrong.status, 401);
+    });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+const migration = require('../src/migration');
+const permission = require('../common/permission');
+
+describe('migrations and seeders', () => {
+    before(async () => {
+        await helper.start();
+        await SQL.sequelize.drop(); // tables of `sync`, migrations create them again
+    });
+
+    after(helper.stop);
+
+    it('installs a new database with an administrator who can do everything', async () => {
+        const applied = await migration.migrations.up();
+        assert.ok(applied.length > 0);
+        assert.deepEqual(await migration.seeders.up(), ['20240301000000-default-roles.js', '20240301000001-default-admin.js']);
+
+        const admin = await SQL.user.findOne({ where: { email: 'admin@sunclover.test' } });
+        assert.equal(admin.role, 1);
+        assert.deepEqual(_.sortBy(await permission.getPermissions(admin.role)), _.sortBy(_.values(cmEnum.Permission)));
+
+        const emailIndex = _.find(await SQL.sequelize.getQueryInterface().showIndex('user'), { name: 'user_email' });
+        assert.equal(emailIndex.unique, true);
+
+        const login = await helper.request('POST', '/auth/login', { body: { email: 'admin@sunclover.test', password: 'Adm1n!Pass' } });
+        assert.equal(login.body.errorCode, '0');
+    });
+
+    it('grants permissions added after the database was seeded', async () => {
+        await migration.migrations.down({ to: '20240301000007-grant-audit-view.js' });
+        const added = [cmEnum.Permission.AUDIT_VIEW, cmEnum.Permission.REPORT_VIEW, cmEnum.Permission.FILE_UPLOAD, cmEnum.Permission.FILE_VIEW, cmEnum.Permission.FILE_VIEW_ANY];
+        assert.deepEqual(_.intersection(await permission.getPermissions(1), added), []);
+
+        await migration.migrations.up();
+        assert.deepEqual(_.sortBy(_.intersection(await permission.getPermissions(1), added)), _.sortBy(added));
+    });
+
+    it('does not create another administrator when seeded again', async () => {
+        await migration.seeders.down();
+        assert.deepEqual(await migration.seeders.up(), ['20240301000001-default-admin.js']);
+        assert.equal(await SQL.user.count({ where: { role: 1 } }), 1);
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const otp = require('../src/service/otp');
+const cmPassword = require('../common/password');
+
+const EMAIL = 'jane@sunclover.test';
+
+describe('otp', () => {
+    let user;
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ user, token } = await helper.createUser({ roleCode: 2, email: EMAIL }));
+    });
+
+    it('checks a code without using it up for the flow it was issued for', async () => {
+        const { code } = await otp.issue('forgotpin', EMAIL);
+
+        const checked = await helper.request('POST', '/otp/verify', { body: { purpose: 'forgotpin', target: EMAIL, code } });
+        assert.deepEqual(checked.body.data, { verified: true });
+
+        const reset = await helper.request('POST', '/auth/forgot-pin', { body: { target: EMAIL, code, newPassword: 'N3w!Passw0rd' } });
+        assert.equal(reset.body.errorCode, '0');
+        assert.ok(await cmPassword.verify('N3w!Passw0rd', (await SQL.user.findByPk(user.id)).password));
+
+        const reused = await helper.request('POST', '/auth/forgot-pin', { body: { target: EMAIL, code, newPassword: 'An0ther!Pass' } });
+        assert.equal(reused.body.errorCode, '005002');
+    });
+
+    it('stops a code after too many entries, even entered at the same time', async () => {
+        const { code } = await otp.issue('forgotpin', EMAIL);
+
+        const guesses = await Promise.all(_.times(10, () => helper.request('POST', '/otp/verify', { body: { purpose: 'forgotpin', target: EMAIL, code: 'nope' } })));
+        const errorCodes = _.countBy(guesses, 'body.errorCode');
+        assert.deepEqual(errorCodes, { '005004': 5, '005003': 5 });
+
+        const right = await helper.request('POST', '/otp/verify', { body: { purpose: 'forgotpin', target: EMAIL, code } });
+        assert.equal(right.body.errorCode, '005003');
+    });
+
+    it('changes email to a valid address proved by a code', async () => {
+        const missing = await helper.request('POST', '/auth/change-email', { token, body: { code: '123456' } });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.errorCode, '008001');
+        assert.deepEqual(missing.body.data, [{ location: 'body', field: 'email', message: 'is required' }]);
+
+        const invalid = await helper.request('POST', '/auth/change-email', { token, body: { email: 'not-an-email', code: '123456' } });
+        assert.deepEqual(invalid.body.data, [{ location: 'body', field: 'email', message: 'must be a valid email' }]);
+
+        const { code } = await otp.issue('changeemail', 'new@sunclover.test');
+        const changed = await helper.request('POST', '/auth/change-email', { token, body: { email: 'new@sunclover.test', code } });
+        assert.equal(changed.body.errorCode, '0');
+        assert.equal((await SQL.user.findByPk(user.id)).email, 'new@sunclover.test');
+    });
+
+    it('limits how often codes are sent to a target', async () => {
+        const target = '+6591234567';
+        const first = await helper.request('POST', '/otp/request', { body: { purpose: 'forgotpin', target } });
+        assert.equal(first.body.errorCode, '0');
+
+        const again = await helper.request('POST', '/otp/request', { body: { purpose: 'changeemail', target } });
+        assert.equal(again.status, 429);
+        assert.equal(again.body.errorCode, '005006');
+        assert.match(again.body.message, /retry after (59|60) seconds/);
+
+        // four more codes earlier in the hour reach `maxPerHour`
+        await Promise.all(_.times(4, () => otp.issue('changeemail', target)));
+        const codes = await SQL.otp.findAll({ where: { target }, order: [['id', 'ASC']] });
+        await Promise.all(_.map(codes, (item, index) => SQL.sequelize.query('UPDATE otp SET created_at = ? WHERE id = ?', {
+            replacements: [new Date(Date.now() - [5, 10, 11, 12, 13][index] * 60000), item.id], // not changeable through the model
+        })));
+        const capped = await helper.request('POST', '/otp/request', { body: { purpose: 'forgotpin', target } });
+        assert.equal(capped.body.errorCode, '005006');
+        assert.match(capped.body.message, /retry after 28\d\d seconds/); // when the code of 13 minutes ago is an hour old
+
+        await SQL.otp.destroy({ where: { id: _.last(codes).id } });
+        const allowed = await helper.request('POST', '/otp/request', { body: { purpose: 'forgotpin', target } });
+        assert.equal(allowed.body.errorCode, '0');
+    });
+});
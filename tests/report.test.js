@@ -0,0 +1,98 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+
+// last year is always in the list of quarters
+const YEAR = new Date().getUTCFullYear() - 1;
+
+describe('quarter reports', () => {
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: [cmEnum.Permission.REPORT_VIEW] }));
+        await SQL.role.create({ role_code: 2, role_name: 'Staff' });
+    });
+
+    async function report(path, quarter) {
+        const res = await helper.request('GET', `/report/${path}?quarter=${quarter}`, { token });
+        assert.equal(res.body.errorCode, '0');
+        return res.body.data;
+    }
+
+    function addUser(values) {
+        return SQL.user.create(Object.assign({ user_name: 'Staff', birth: '1990-06-15T00:00:00Z', start_day: `${YEAR - 2}-01-01T00:00:00Z`, role: 2 }, values));
+    }
+
+    it('lists quarters up to the current one', async () => {
+        const res = await helper.request('GET', '/report/quarters', { token });
+        const { listQuarter, selectedQuarter } = res.body.data;
+        assert.equal(_.last(listQuarter).key, selectedQuarter.key);
+        assert.ok(_.some(listQuarter, { key: `Q4-${YEAR}` }));
+    });
+
+    it('counts new hires per month in the configured timezone', async () => {
+        await addUser({ start_day: `${YEAR}-12-31T20:00:00Z` }); // January in Singapore
+        await addUser({ start_day: `${YEAR + 1}-03-31T10:00:00Z` });
+        await addUser({ start_day: `${YEAR + 1}-04-01T00:00:00Z` }); // next quarter
+
+        const data = await report('hires', `Q1-${YEAR + 1}`);
+        assert.deepEqual(data, {
+            quarter: `Q1-${YEAR + 1}`,
+            months: [
+                { month: '01', monthTitle: 'January', total: 1 },
+                { month: '02', monthTitle: 'February', total: 0 },
+                { month: '03', monthTitle: 'March', total: 1 },
+            ],
+            total: 2,
+        });
+        assert.equal((await report('hires', `Q4-${YEAR}`)).total, 0);
+    });
+
+    it('counts birthdays per month of any year', async () => {
+        await addUser({ birth: '1990-10-20T00:00:00Z' });
+        await addUser({ birth: '2001-12-01T00:00:00Z' });
+        await addUser({ birth: '1985-10-01T00:00:00Z' });
+        await addUser({ birth: '1985-09-30T20:00:00Z' }); // stored month, not the one in Singapore
+        const deleted = await addUser({ birth: '1980-11-11T00:00:00Z' });
+        await deleted.destroy();
+
+        const data = await report('birthdays', `Q4-${YEAR}`);
+        assert.deepEqual(_.map(data.months, 'month'), ['10', '11', '12']);
+        assert.deepEqual(_.map(data.months, 'total'), [2, 0, 1]);
+    });
+
+    it('counts headcount per role at the end of each month', async () => {
+        await addUser({ start_day: `${YEAR}-11-15T00:00:00Z` });
+        await addUser({ deleted_at: new Date(`${YEAR}-11-20T00:00:00Z`) }); // left during the quarter
+        await addUser({ deleted_at: new Date(`${YEAR}-01-01T00:00:00Z`) }); // gone before the quarter
+
+        const data = await report('headcount', `Q4-${YEAR}`);
+        const staff = _.map(data.months, (month) => _.find(month.roles, { role_code: 2 }).total);
+        assert.deepEqual(staff, [1, 1, 1]); // one left as another joined
+        assert.deepEqual(_.map(data.months, 'total'), [2, 2, 2]); // with the admin of role 1
+        assert.deepEqual(_.map(data.months[0].roles, 'role_name'), ['Role 1', 'Staff']);
+    });
+
+    it('rejects quarters out of the list and users without permission', async () => {
+        const invalid = await helper.request('GET', '/report/hires?quarter=Q4-1999', { token });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.errorCode, '012001');
+
+        const missing = await helper.request('GET', '/report/hires', { token });
+        assert.equal(missing.body.errorCode, '008001');
+
+        const other = await helper.createUser({ roleCode: 2 });
+        const forbidden = await helper.request('GET', '/report/quarters', { token: other.token });
+        assert.equal(forbidden.status, 403);
+    });
+});
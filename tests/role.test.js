@@ -0,0 +1,141 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const cmEnum = require('../common/enum');
+
+describe('role routes', () => {
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission) }));
+    });
+
+    async function createRole(roleCode, roleName) {
+        const res = await helper.request('POST', '/role/create', { token, body: { roleCode, roleName } });
+        assert.equal(res.body.errorCode, '0');
+        return res.body.data;
+    }
+
+    it('creates a role and rejects a duplicated role code', async () => {
+        const role = await createRole(2, 'Staff');
+        assert.equal(role.role_code, 2);
+        assert.equal(role.role_name, 'Staff');
+
+        const res = await helper.request('POST', '/role/create', { token, body: { roleCode: 2, roleName: 'Other' } });
+        assert.equal(res.body.errorCode, '001003');
+    });
+
+    it('requires role code and name', async () => {
+        const res = await helper.request('POST', '/role/create', { token, body: { roleName: '' } });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errorCode, '001004'); // first invalid field
+        assert.deepEqual(_.map(res.body.data, 'field'), ['roleCode', 'roleName']);
+
+        const name = await helper.request('POST', '/role/create', { token, body: { roleCode: 2 } });
+        assert.equal(name.body.errorCode, '001002');
+    });
+
+    it('lists roles with paging, sorting and filters', async () => {
+        await createRole(2, 'Staff');
+        await createRole(3, 'Manager');
+
+        const page = await helper.request('GET', '/role/all?PerPage=2&SortBy=role_code&SortOrder=DESC', { token });
+        assert.equal(page.body.data.total, 3);
+        assert.equal(page.body.data.totalPage, 2);
+        assert.deepEqual(_.map(page.body.data.items, 'role_code'), [3, 2]);
+
+        const filtered = await helper.request('GET', '/role/all?role_name=staf', { token });
+        assert.deepEqual(_.map(filtered.body.data.items, 'role_name'), ['Staff']);
+
+        const invalid = await helper.request('GET', '/role/all?SortBy=nope', { token });
+        assert.equal(invalid.body.errorCode, '003003');
+    });
+
+    it('gets, updates and deletes a role', async () => {
+        const role = await createRole(2, 'Staff');
+
+        const detail = await helper.request('GET', `/role/detail/${role.id}`, { token });
+        assert.equal(detail.body.data.role_name, 'Staff');
+
+        const updated = await helper.request('POST', `/role/update/${role.id}`, { token, body: { roleName: 'Senior Staff' } });
+        assert.equal(updated.body.data.role_name, 'Senior Staff');
+
+        const deleted = await helper.request('POST', `/role/delete/${role.id}`, { token });
+        assert.deepEqual(deleted.body.data, { id: role.id });
+
+        const missing = await helper.request('GET', `/role/detail/${role.id}`, { token });
+        assert.equal(missing.body.errorCode, '001001');
+    });
+
+    it('replaces the permissions of a role', async () => {
+        const role = await createRole(2, 'Staff');
+        const permissions = [cmEnum.Permission.USER_VIEW, cmEnum.Permission.ROLE_VIEW];
+
+        const res = await helper.request('POST', `/role/permissions/${role.id}`, { token, body: { permissions } });
+        assert.deepEqual(_.sortBy(res.body.data), _.sortBy(permissions));
+
+        const current = await helper.request('GET', `/role/permissions/${role.id}`, { token });
+        assert.deepEqual(_.sortBy(current.body.data), _.sortBy(permissions));
+
+        const invalid = await helper.request('POST', `/role/permissions/${role.id}`, { token, body: { permissions: ['root'] } });
+        assert.equal(invalid.body.errorCode, '007002');
+    });
+
+    it('only grants or revokes permissions the caller has', async () => {
+        await createRole(2, 'Staff');
+        const held = [cmEnum.Permission.ROLE_VIEW, cmEnum.Permission.ROLE_UPDATE, cmEnum.Permission.USER_VIEW];
+        const manager = await helper.createUser({ roleCode: 3, permissions: held });
+        function updatePermissions(roleId, permissions) {
+            return helper.request('POST', `/role/permissions/${roleId}`, { token: manager.token, body: { permissions } });
+        }
+        const roles = (await helper.request('GET', '/role/all?SortBy=role_code', { token })).body.data.items;
+        const [admin, staff, own] = _.map(roles, 'id');
+
+        const granted = await updatePermissions(staff, [cmEnum.Permission.USER_VIEW]);
+        assert.deepEqual(granted.body.data, [cmEnum.Permission.USER_VIEW]);
+
+        const escalated = await updatePermissions(own, _.concat(held, cmEnum.Permission.ROLE_DELETE));
+        assert.equal(escalated.status, 403);
+        assert.equal(escalated.body.errorCode, '007001');
+
+        const revoked = await updatePermissions(admin, held);
+        assert.equal(revoked.body.errorCode, '007001');
+
+        const same = await updatePermissions(own, held);
+        assert.equal(same.body.errorCode, '0');
+    });
+
+    it('assigns users to a role and lists them', async () => {
+        const role = await createRole(2, 'Staff');
+        const { user } = await helper.createUser({ roleCode: 1 });
+
+        const assigned = await helper.request('POST', `/role/users/${role.id}`, { token, body: { userIds: [user.id] } });
+        assert.deepEqual(assigned.body.data, { role: 2, userIds: [user.id] });
+
+        const users = await helper.request('GET', `/role/users/${role.id}`, { token });
+        assert.deepEqual(_.map(users.body.data.items, 'id'), [user.id]);
+        assert.equal(users.body.data.items[0].password, undefined);
+
+        const unknown = await helper.request('POST', `/role/users/${role.id}`, { token, body: { userIds: [user.id, 999] } });
+        assert.equal(unknown.body.errorCode, '001006');
+    });
+
+    it('only allows users with permission', async () => {
+        const viewer = await helper.createUser({ roleCode: 3, permissions: [cmEnum.Permission.ROLE_VIEW] });
+
+        const list = await helper.request('GET', '/role/all', { token: viewer.token });
+        assert.equal(list.body.errorCode, '0');
+
+        const create = await helper.request('POST', '/role/create', { token: viewer.token, body: { roleCode: 4, roleName: 'Guest' } });
+        assert.equal(create.status, 403);
+    });
+});
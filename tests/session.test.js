@@ -0,0 +1,95 @@
+'use strict';
+
+// settings of this test file only, every test file runs in its own process
+process.env.SUNCLOVER_AUTH__SESSION__ENABLED = 'true';
+process.env.SUNCLOVER_AUTH__SESSION__SECRET = 'test-session-secret';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const cmEnum = require('../common/enum');
+
+const EMAIL = 'jane@sunclover.test';
+const PASSWORD = 'Passw0rd!';
+const NEW_USER = Object.freeze({ userName: 'John', birth: '1990-01-01', startDay: '2023-01-02', role: 1, password: 'Str0ng!Pass' });
+
+describe('session and csrf', () => {
+    let cookies;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission), email: EMAIL });
+        cookies = {};
+    });
+
+    // minimal cookie jar, fetch does not keep cookies
+    async function send(method, url, { body, headers } = {}) {
+        const cookie = _.map(cookies, (value, name) => `${name}=${value}`).join('; ');
+        const res = await helper.request(method, url, { body, headers: Object.assign({ cookie }, headers) });
+        _.each(res.headers.getSetCookie(), (item) => {
+            const [name, value] = _.split(_.first(_.split(item, ';')), '=');
+            cookies[name] = value;
+        });
+        return res;
+    }
+
+    async function login() {
+        const res = await send('POST', '/auth/login', { body: { email: EMAIL, password: PASSWORD } });
+        assert.equal(res.body.errorCode, '0');
+        assert.ok(_.has(cookies, 'sid'));
+    }
+
+    async function getCsrfToken() {
+        const res = await send('GET', '/auth/csrf-token');
+        assert.equal(res.body.data.csrfToken, cookies['XSRF-TOKEN']);
+        assert.ok(_.has(cookies, '_csrf'));
+        return res.body.data.csrfToken;
+    }
+
+    it('authenticates safe requests by session cookie', async () => {
+        await login();
+
+        const me = await send('GET', '/auth/me');
+        assert.equal(me.body.data.email, EMAIL);
+
+        const anonymous = await helper.request('GET', '/auth/me');
+        assert.equal(anonymous.status, 401);
+    });
+
+    it('requires a CSRF token for unsafe requests authenticated by session cookie', async () => {
+        await login();
+
+        const forged = await send('POST', '/user/create', { body: NEW_USER });
+        assert.equal(forged.status, 403);
+        assert.equal(forged.body.errorCode, '004005');
+
+        const wrong = await send('POST', '/user/create', { body: NEW_USER, headers: { 'x-csrf-token': 'wrong' } });
+        assert.equal(wrong.body.errorCode, '004005');
+
+        const csrfToken = await getCsrfToken();
+        const created = await send('POST', '/user/create', { body: NEW_USER, headers: { 'x-csrf-token': csrfToken } });
+        assert.equal(created.body.errorCode, '0');
+    });
+
+    it('does not require a CSRF token from token clients', async () => {
+        const res = await helper.request('POST', '/auth/login', { body: { email: EMAIL, password: PASSWORD } });
+        const created = await helper.request('POST', '/user/create', { token: res.body.data.accessToken, body: NEW_USER });
+        assert.equal(created.body.errorCode, '0');
+    });
+
+    it('ends the session on logout', async () => {
+        await login();
+        const csrfToken = await getCsrfToken();
+
+        const logout = await send('POST', '/auth/logout', { headers: { 'x-csrf-token': csrfToken } });
+        assert.equal(logout.body.errorCode, '0');
+
+        const me = await send('GET', '/auth/me');
+        assert.equal(me.status, 401);
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * @fileoverview Settings for `npm test`, see ./helper.js.
+ * Every test file runs in its own process with a new in-memory database. */
+
+const os = require('os');
+const path = require('path');
+
+module.exports = {
+    tempFolder: path.join(os.tmpdir(), `sunclover-test-${process.pid}`),
+    database: {
+        sql: {
+            dialect: 'sqlite',
+            storage: ':memory:',
+            logging: false,
+            custom: {
+                sync: true,
+            },
+        },
+    },
+    auth: {
+        admin: {
+            email: 'admin@sunclover.test',
+            password: 'Adm1n!Pass',
+        },
+        token: {
+            secret: 'test-secret',
+        },
+    },
+    mail: {
+        transport: 'outbox',
+        emailfrom: 'noreply@sunclover.test',
+    },
+    log: {
+        categories: {
+            default: { appenders: ['stdout'], level: 'off' },
+        },
+    },
+};
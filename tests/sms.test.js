@@ -0,0 +1,54 @@
+'use strict';
+
+// settings of this test file only, every test file runs in its own process
+process.env.SUNCLOVER_SMS__FROM = 'Sunclover';
+
+const helper = require('./helper');
+
+const fs = require('fs');
+const assert = require('assert/strict');
+const Promise = require('bluebird');
+const { after, afterEach, before, describe, it, mock } = require('node:test');
+const sms = require('../src/service/sms');
+const fileProvider = require('../src/service/sms/file');
+
+describe('sms service', () => {
+    before(helper.start);
+    after(helper.stop);
+    afterEach(() => mock.restoreAll());
+
+    it('writes messages to a file with the file provider', async () => {
+        const sent = await sms.send('+6591234567', 'Your code is 123456');
+        assert.equal(sent.provider, 'file');
+
+        const message = JSON.parse(await fs.promises.readFile(sent.messageId, 'utf8'));
+        assert.equal(message.from, 'Sunclover');
+        assert.equal(message.to, '+6591234567');
+        assert.equal(message.text, 'Your code is 123456');
+    });
+
+    it('retries failed sends with a growing delay', async () => {
+        const delay = mock.method(Promise, 'delay', async () => {});
+        const failing = mock.method(fileProvider, 'send', async () => {
+            if (failing.mock.callCount() < 2) {
+                throw new Error('Provider is down');
+            }
+            return { messageId: 'sms-1' };
+        });
+
+        assert.deepEqual(await sms.send('+6591234567', 'Hi'), { provider: 'file', messageId: 'sms-1' });
+        assert.equal(failing.mock.callCount(), 3);
+        assert.deepEqual(delay.mock.calls.map((call) => call.arguments[0]), [2000, 4000]);
+    });
+
+    it('gives up after the configured attempts', async () => {
+        const delay = mock.method(Promise, 'delay', async () => {});
+        const failing = mock.method(fileProvider, 'send', async () => {
+            throw new Error('Provider is down');
+        });
+
+        await assert.rejects(sms.send('+6591234567', 'Hi'), { code: '006001' });
+        assert.equal(failing.mock.callCount(), 3);
+        assert.equal(delay.mock.callCount(), 2); // none after the last attempt
+    });
+});
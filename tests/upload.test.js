@@ -0,0 +1,155 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+const upload = require('../src/service/upload');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.from('image data')]);
+const PDF = Buffer.from('%PDF-1.7 document');
+
+describe('upload service', () => {
+    it('detects type from content', () => {
+        assert.equal(upload.detectType(PNG), 'png');
+        assert.equal(upload.detectType(PDF), 'pdf');
+        assert.equal(upload.detectType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])), 'jpg');
+        assert.equal(upload.detectType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ')), 'webp');
+        assert.equal(upload.detectType(Buffer.from('name,email')), undefined);
+        assert.equal(upload.detectType(Buffer.alloc(0)), undefined);
+    });
+
+    it('decodes base64 with or without data url prefix', () => {
+        assert.deepEqual(upload.decodeBase64(PNG.toString('base64')), PNG);
+        assert.deepEqual(upload.decodeBase64(`data:image/png;base64,${PNG.toString('base64')}`), PNG);
+        assert.throws(() => upload.decodeBase64('not base64!'), { code: '010005' });
+    });
+});
+
+describe('file routes', () => {
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission) }));
+    });
+
+    function form(content, fields = {}) {
+        const body = new FormData();
+        _.each(fields, (value, key) => body.append(key, value));
+        body.append('file', new Blob([content]), 'picture.jpg');
+        return body;
+    }
+
+    it('uploads a multipart file and serves it back by id', async () => {
+        const res = await helper.request('POST', '/file/upload', { token, body: form(PNG) });
+        assert.equal(res.body.errorCode, '0');
+        const file = res.body.data;
+        assert.equal(file.extension, 'png'); // from content, not from name
+        assert.equal(file.mime_type, 'image/png');
+        assert.equal(file.original_name, 'picture.jpg');
+        assert.equal(file.size, PNG.length);
+        assert.equal(file.checksum, crypto.createHash('md5').update(PNG).digest('hex'));
+        assert.equal(file.path, undefined);
+
+        const detail = await helper.request('GET', `/file/detail/${file.id}`, { token });
+        assert.equal(detail.body.data.checksum, file.checksum);
+
+        const content = await helper.request('GET', `/file/${file.id}`, { token });
+        assert.equal(content.status, 200);
+        assert.equal(content.headers.get('content-type'), 'image/png');
+        assert.equal(content.headers.get('etag'), `"${file.checksum}"`);
+        assert.deepEqual(content.raw, PNG);
+    });
+
+    it('uploads base64 content and downloads other files as attachment', async () => {
+        const res = await helper.request('POST', '/file/upload', { token, body: { name: 'report.pdf', data: PDF.toString('base64') } });
+        assert.equal(res.body.data.extension, 'pdf');
+
+        const content = await helper.request('GET', `/file/${res.body.data.id}`, { token });
+        assert.equal(content.headers.get('content-disposition'), 'attachment; filename="report.pdf"');
+        assert.deepEqual(content.raw, PDF);
+    });
+
+    it('enforces types and sizes of the purpose', async () => {
+        const text = await helper.request('POST', '/file/upload', { token, body: { data: Buffer.from('name,email').toString('base64') } });
+        assert.equal(text.status, 415);
+        assert.equal(text.body.errorCode, '010003');
+
+        const pdfAvatar = await helper.request('POST', '/file/upload', { token, body: { purpose: 'avatar', data: PDF.toString('base64') } });
+        assert.equal(pdfAvatar.body.errorCode, '010003');
+
+        const large = Buffer.concat([PNG, Buffer.alloc(1048576)]);
+        const largeAvatar = await helper.request('POST', '/file/upload', { token, body: form(large, { purpose: 'avatar' }) });
+        assert.equal(largeAvatar.status, 413);
+        assert.equal(largeAvatar.body.errorCode, '010002');
+        assert.match(largeAvatar.body.message, /File is larger than 1048576 bytes/);
+
+        const unknown = await helper.request('POST', '/file/upload', { token, body: { purpose: 'nope', data: PNG.toString('base64') } });
+        assert.equal(unknown.body.errorCode, '008001');
+
+        const empty = await helper.request('POST', '/file/upload', { token, body: {} });
+        assert.equal(empty.body.errorCode, '010001');
+
+        const invalid = await helper.request('POST', '/file/upload', { token, body: { data: '%%%' } });
+        assert.equal(invalid.body.errorCode, '010005');
+    });
+
+    it('answers not found for unknown ids and requires authentication', async () => {
+        const missing = await helper.request('GET', '/file/detail/999', { token });
+        assert.equal(missing.body.errorCode, '010004');
+
+        const anonymous = await helper.request('GET', '/file/1');
+        assert.equal(anonymous.status, 401);
+    });
+
+    it('keeps files private to their uploader, except avatars for users who can view users', async () => {
+        const staff = await helper.createUser({ roleCode: 2, permissions: [cmEnum.Permission.FILE_UPLOAD, cmEnum.Permission.FILE_VIEW] });
+        const other = await helper.createUser({ roleCode: 3, permissions: [cmEnum.Permission.FILE_UPLOAD, cmEnum.Permission.FILE_VIEW] });
+        const reader = await helper.createUser({ roleCode: 4, permissions: [cmEnum.Permission.FILE_VIEW, cmEnum.Permission.USER_VIEW] });
+
+        const document = await helper.request('POST', '/file/upload', { token: staff.token, body: form(PDF) });
+        const avatar = await helper.request('POST', '/file/upload', { token: other.token, body: form(PNG, { purpose: 'avatar' }) });
+        await SQL.user.update({ avatar: avatar.body.data.id }, { where: { id: staff.user.id } });
+
+        const own = await helper.request('GET', `/file/${document.body.data.id}`, { token: staff.token });
+        assert.deepEqual(own.raw, PDF);
+        const ownAvatar = await helper.request('GET', `/file/detail/${avatar.body.data.id}`, { token: staff.token });
+        assert.equal(ownAvatar.body.errorCode, '0');
+
+        const forbidden = await helper.request('GET', `/file/${document.body.data.id}`, { token: other.token });
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.body.errorCode, '007001');
+        assert.equal((await helper.request('GET', `/file/detail/${document.body.data.id}`, { token: reader.token })).status, 403);
+
+        const shownAvatar = await helper.request('GET', `/file/${avatar.body.data.id}`, { token: reader.token });
+        assert.deepEqual(shownAvatar.raw, PNG);
+        const anyFile = await helper.request('GET', `/file/${document.body.data.id}`, { token });
+        assert.deepEqual(anyFile.raw, PDF);
+
+        const noUpload = await helper.request('POST', '/file/upload', { token: reader.token, body: form(PNG) });
+        assert.equal(noUpload.status, 403);
+    });
+
+    it('sets user avatar to a file uploaded for purpose avatar', async () => {
+        const avatar = await helper.request('POST', '/file/upload', { token, body: form(PNG, { purpose: 'avatar' }) });
+        const other = await helper.request('POST', '/file/upload', { token, body: form(PNG) });
+        const { user } = await helper.createUser();
+
+        const updated = await helper.request('POST', `/user/update/${user.id}`, { token, body: { avatar: avatar.body.data.id } });
+        assert.equal(updated.body.data.avatar, avatar.body.data.id);
+
+        const wrongPurpose = await helper.request('POST', `/user/update/${user.id}`, { token, body: { avatar: other.body.data.id } });
+        assert.equal(wrongPurpose.body.errorCode, '002007');
+
+        const cleared = await helper.request('POST', `/user/update/${user.id}`, { token, body: { avatar: null } });
+        assert.equal(cleared.body.data.avatar, null);
+    });
+});
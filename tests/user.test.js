@@ -0,0 +1,181 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it, mock } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+const cmPassword = require('../common/password');
+const mail = require('../src/service/mail');
+
+const NEW_USER = Object.freeze({
+    userName: 'Jane Doe',
+    birth: '1995-05-20',
+    startDay: '2023-01-02',
+    role: 1,
+    phone: '+65 9123 4567',
+});
+
+describe('user routes', () => {
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission) }));
+    });
+
+    async function createUser(body) {
+        const res = await helper.request('POST', '/user/create', { token, body: Object.assign({}, NEW_USER, body) });
+        assert.equal(res.body.errorCode, '0');
+        return res.body.data;
+    }
+
+    it('creates a user with a password that meets the policy', async () => {
+        const weak = await helper.request('POST', '/user/create', { token, body: Object.assign({ password: 'short' }, NEW_USER) });
+        assert.equal(weak.body.errorCode, '004007');
+        assert.match(weak.body.message, /at least 8 characters/);
+
+        const user = await createUser({ password: 'Str0ng!Pass' });
+        assert.equal(user.user_name, 'Jane Doe');
+        assert.equal(user.password, undefined);
+        assert.equal(user.temporaryPassword, undefined);
+
+        const saved = await SQL.user.findByPk(user.id);
+        assert.ok(await cmPassword.verify('Str0ng!Pass', saved.password));
+    });
+
+    it('returns a generated password when user has no email', async () => {
+        const user = await createUser();
+
+        const saved = await SQL.user.findByPk(user.id);
+        assert.ok(await cmPassword.verify(user.temporaryPassword, saved.password));
+    });
+
+    it('does not keep an account whose generated password cannot be mailed', async () => {
+        const error = Object.assign(new Error(), { code: '006001' });
+        const failing = mock.method(mail, 'send', async () => {
+            throw error;
+        });
+        const res = await helper.request('POST', '/user/create', { token, body: Object.assign({ email: 'jane@sunclover.test' }, NEW_USER) });
+        failing.mock.restore();
+        assert.equal(res.body.errorCode, '006001');
+        assert.equal(await SQL.user.count({ where: { email: 'jane@sunclover.test' } }), 0);
+
+        const sent = mock.method(mail, 'send');
+        const user = await createUser({ email: 'jane@sunclover.test' });
+        sent.mock.restore();
+        assert.equal(user.temporaryPassword, undefined);
+        assert.equal(sent.mock.calls[0].arguments[0], 'newAccount');
+        assert.equal(sent.mock.calls[0].arguments[1], 'jane@sunclover.test');
+    });
+
+    it('rejects unknown role and invalid fields', async () => {
+        const unknownRole = await helper.request('POST', '/user/create', { token, body: Object.assign({}, NEW_USER, { role: 99 }) });
+        assert.equal(unknownRole.body.errorCode, '002005');
+
+        const invalid = await helper.request('POST', '/user/create', { token, body: Object.assign({}, NEW_USER, { birth: 'yesterday', email: 'nope' }) });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.errorCode, '002003');
+        assert.deepEqual(_.map(invalid.body.data, 'field'), ['birth', 'email']);
+
+        const email = await helper.request('POST', '/user/create', { token, body: Object.assign({}, NEW_USER, { email: 'nope' }) });
+        assert.equal(email.body.errorCode, '008001');
+    });
+
+    it('rejects an email used by another user, ignoring case', async () => {
+        const jane = await createUser({ email: 'jane@sunclover.test' });
+
+        const created = await helper.request('POST', '/user/create', { token, body: Object.assign({ email: 'Jane@SunClover.test' }, NEW_USER) });
+        assert.equal(created.body.errorCode, '002006');
+
+        const john = await createUser({ userName: 'John', email: 'john@sunclover.test' });
+        const updated = await helper.request('POST', `/user/update/${john.id}`, { token, body: { email: 'jane@sunclover.test' } });
+        assert.equal(updated.body.errorCode, '002006');
+
+        const unchanged = await helper.request('POST', `/user/update/${jane.id}`, { token, body: { email: 'jane@sunclover.test', address: 'Here' } });
+        assert.equal(unchanged.body.errorCode, '0');
+
+        await helper.request('POST', `/user/delete/${jane.id}`, { token });
+        const deleted = await helper.request('POST', '/user/create', { token, body: Object.assign({ email: 'jane@sunclover.test' }, NEW_USER) });
+        assert.equal(deleted.body.errorCode, '002006'); // email stays with the deleted user
+    });
+
+    it('lists users without credentials', async () => {
+        await createUser({ userName: 'Alpha' });
+        await createUser({ userName: 'Beta' });
+
+        const res = await helper.request('GET', '/user/all?user_name=alp', { token });
+        assert.equal(res.body.data.total, 1);
+        assert.equal(res.body.data.items[0].user_name, 'Alpha');
+        assert.equal(res.body.data.items[0].password, undefined);
+        assert.equal(res.body.data.items[0].token_version, undefined);
+    });
+
+    it('gets and partially updates a user', async () => {
+        const user = await createUser();
+
+        const updated = await helper.request('POST', `/user/update/${user.id}`, { token, body: { address: '1 Main Street' } });
+        assert.equal(updated.body.data.address, '1 Main Street');
+        assert.equal(updated.body.data.user_name, 'Jane Doe');
+
+        const cleared = await helper.request('POST', `/user/update/${user.id}`, { token, body: { userName: '' } });
+        assert.equal(cleared.status, 400);
+
+        const detail = await helper.request('GET', `/user/detail/${user.id}`, { token });
+        assert.equal(detail.body.data.address, '1 Main Street');
+    });
+
+    it('soft deletes a user', async () => {
+        const user = await createUser();
+
+        const deleted = await helper.request('POST', `/user/delete/${user.id}`, { token });
+        assert.deepEqual(deleted.body.data, { id: user.id });
+
+        const missing = await helper.request('GET', `/user/detail/${user.id}`, { token });
+        assert.equal(missing.body.errorCode, '002001');
+
+        const row = await SQL.user.findByPk(user.id, { paranoid: false });
+        assert.notEqual(row.deleted_at, null);
+    });
+
+    it('unlocks a locked user', async () => {
+        const user = await createUser();
+        await SQL.user.update({ failed_attempts: 5, locked_until: new Date(Date.now() + 60000) }, { where: { id: user.id } });
+
+        const res = await helper.request('POST', `/user/unlock/${user.id}`, { token });
+        assert.equal(res.body.data.failed_attempts, 0);
+        assert.equal(res.body.data.locked_until, null);
+    });
+
+    it('keeps the old password when the reset password cannot be mailed', async () => {
+        const target = await helper.createUser({ roleCode: 1 });
+
+        const failing = mock.method(mail, 'send', async () => {
+            throw Object.assign(new Error(), { code: '006001' });
+        });
+        const res = await helper.request('POST', `/user/reset-password/${target.user.id}`, { token });
+        failing.mock.restore();
+        assert.equal(res.body.errorCode, '006001');
+
+        const saved = await SQL.user.findByPk(target.user.id);
+        assert.ok(await cmPassword.verify('Passw0rd!', saved.password));
+        assert.equal(saved.token_version, target.user.token_version);
+    });
+
+    it('resets password and revokes existing tokens', async () => {
+        const target = await helper.createUser({ roleCode: 1 });
+        await SQL.user.update({ email: null }, { where: { id: target.user.id } });
+
+        const res = await helper.request('POST', `/user/reset-password/${target.user.id}`, { token });
+        assert.equal(res.body.data.id, target.user.id);
+        assert.equal(typeof res.body.data.temporaryPassword, 'string');
+
+        const revoked = await helper.request('GET', '/user/all', { token: target.token });
+        assert.equal(revoked.status, 401);
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+require('./helper');
+
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+const cmUtils = require('../common/utils');
+const configuration = require('../configuration');
+
+describe('common/utils', () => {
+    it('isSameText compares trimmed text case-insensitively', () => {
+        assert.equal(cmUtils.isSameText(' Admin ', 'admin'), true);
+        assert.equal(cmUtils.isSameText('admin', 'user'), false);
+    });
+
+    it('toArray flattens values and drops falsy ones', () => {
+        assert.deepEqual(cmUtils.toArray('123'), ['123']);
+        assert.deepEqual(cmUtils.toArray([1], [2]), [1, 2]);
+        assert.deepEqual(cmUtils.toArray([null, 0, false]), []);
+    });
+
+    it('toBoolean parses true/false text only', () => {
+        assert.equal(cmUtils.toBoolean(' TRUE '), true);
+        assert.equal(cmUtils.toBoolean('false'), false);
+        assert.equal(cmUtils.toBoolean('yes'), null);
+        assert.equal(cmUtils.toBoolean('yes', false), false);
+    });
+
+    it('converts between base64 and buffer', () => {
+        const buffer = cmUtils.base64ToBuffer(Buffer.from('sun clover').toString('base64'));
+
+        assert.equal(buffer.toString(), 'sun clover');
+        assert.equal(cmUtils.bufferToBase64(buffer), 'c3VuIGNsb3Zlcg==');
+        assert.equal(cmUtils.base64ToBuffer(null), null);
+        assert.throws(() => cmUtils.bufferToBase64('text'));
+    });
+
+    it('unserialize parses JSON and turns empty values into null', () => {
+        assert.deepEqual(cmUtils.unserialize('{"a":"","b":"null","c":{"d":"x"}}'), { a: null, b: null, c: { d: 'x' } });
+        assert.equal(cmUtils.unserialize(''), null);
+        assert.throws(() => cmUtils.unserialize('{oops'), /Invalid JSON object/);
+    });
+
+    it('setupOnce calls function only the first time', () => {
+        let calls = 0;
+        const fn = cmUtils.setupOnce(null, () => calls++);
+
+        fn();
+        fn();
+        assert.equal(calls, 1);
+    });
+
+    it('parseError formats a client safe message with a code', () => {
+        const { code, errors } = cmUtils.parseError(new Error('Something broke'));
+        assert.match(code, /^[0-9a-f]{8}$/);
+        assert.equal(errors, `Error #${code}: Error: Something broke.`);
+
+        const { errors: list } = cmUtils.parseError(['First', 'Second?'], false);
+        assert.deepEqual(list, ['Error: First.', 'Error: Second?']);
+    });
+
+    it('parseWithContentTemplate replaces every placeholder', () => {
+        const text = cmUtils.parseWithContentTemplate('$name has $total user(s), $name', ['name', 'total'], { name: 'Staff', total: 2 });
+
+        assert.equal(text, 'Staff has 2 user(s), Staff');
+    });
+
+    it('calTotalPage rounds up', () => {
+        assert.equal(cmUtils.calTotalPage(0, 10), 0);
+        assert.equal(cmUtils.calTotalPage(10, 10), 1);
+        assert.equal(cmUtils.calTotalPage(11, 10), 2);
+    });
+
+    it('getPageInfo defaults to first page of 10', () => {
+        assert.deepEqual(cmUtils.getPageInfo({}), { Page: 1, PerPage: 10, Offset: 0 });
+        assert.deepEqual(cmUtils.getPageInfo({ Page: '3', PerPage: '20' }), { Page: 3, PerPage: 20, Offset: 40 });
+    });
+
+    it('randomString picks characters from the given set', () => {
+        assert.match(cmUtils.randomString(6), /^\d{6}$/);
+        assert.match(cmUtils.randomString(12, 'ab'), /^[ab]{12}$/);
+    });
+
+    it('generates file and image names', () => {
+        assert.match(cmUtils.getFileName(), /^untitled_[0-9a-f]{10}\.txt$/);
+        assert.match(cmUtils.getFileName('report', 'csv'), /^report_[0-9a-f]{10}\.csv$/);
+        assert.match(cmUtils.getImageName('png', 'avatar'), /^avatar_[0-9a-f]{12}\.png$/);
+    });
+
+    it('getGST extracts tax from a tax inclusive amount', () => {
+        assert.equal(cmUtils.getGST(0.09, 109, 2), 18);
+    });
+
+    it('saves, reads and deletes a file', async () => {
+        const file = path.join(os.tmpdir(), cmUtils.getFileName('utils-test'));
+
+        await cmUtils.saveFile('hello', file);
+        assert.equal(await cmUtils.readFile(file, true), 'hello');
+
+        await cmUtils.deleteFile(file);
+        await assert.rejects(cmUtils.isFolderExist(file));
+    });
+
+    it('lists quarters from report.startQuarter, or two years back, to the current one', () => {
+        const year = moment().utcOffset(configuration.get('timezone')).year();
+        const quarters = cmUtils.prepareListQuaterYear();
+        assert.deepEqual(quarters.listQuarter[0], { key: `Q1-${year - 2}`, value: `==Q1 ${year - 2}==` });
+        assert.deepEqual(quarters.listQuarter.at(-1), quarters.selectedQuarter);
+
+        const fromStart = cmUtils.prepareListQuaterYear(`Q3-${year - 3}`);
+        assert.deepEqual(fromStart.listQuarter.slice(0, 3).map((item) => item.key), [`Q3-${year - 3}`, `Q4-${year - 3}`, `Q1-${year - 2}`]);
+    });
+
+    it('gives padded months of a listed quarter', () => {
+        const year = new Date().getUTCFullYear() - 1;
+        assert.deepEqual(cmUtils.getMonthAndYearFromQuarter(`Q4-${year}`), { month: ['10', '11', '12'], year: String(year) });
+        assert.deepEqual(cmUtils.getMonthAndYearFromQuarter(`Q1-${year}`).month, ['01', '02', '03']);
+        assert.throws(() => cmUtils.getMonthAndYearFromQuarter('Q5-2020'), { code: '012001', status: 400 });
+        assert.throws(() => cmUtils.getMonthAndYearFromQuarter('Q1-1999'), { code: '012001' });
+    });
+
+    it('reads the month of a time in the configured timezone', () => {
+        assert.deepEqual(cmUtils.getMonthTitleByDateTime('2023-12-31T20:00:00Z'), { month: 1, monthTitle: 'January' });
+        assert.deepEqual(cmUtils.getMonthTitleByDateTime('2023-12-31T10:00:00Z'), { month: 12, monthTitle: 'December' });
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const helper = require('./helper');
+
+const _ = require('lodash');
+const assert = require('assert/strict');
+const ExcelJS = require('exceljs');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const SQL = require('../src/sql');
+const cmEnum = require('../common/enum');
+const xlsx = require('../src/service/xlsx');
+
+describe('xlsx service', () => {
+    it('writes dates as wall clock time of timeZoneString', () => {
+        // default time zone is Asia/Singapore, UTC+8
+        assert.deepEqual(xlsx.toLocalDate('2024-01-01T20:30:00Z'), new Date('2024-01-02T04:30:00Z'));
+    });
+});
+
+describe('staff xlsx export', () => {
+    let token;
+
+    before(helper.start);
+    after(helper.stop);
+
+    beforeEach(async () => {
+        await helper.resetDatabase();
+        ({ token } = await helper.createUser({ roleCode: 1, permissions: _.values(cmEnum.Permission) }));
+        await SQL.role.bulkCreate([
+            { role_code: 2, role_name: 'Staff: day/night' },
+            { role_code: 3, role_name: 'Empty' },
+        ]);
+        await SQL.user.bulkCreate([
+            { user_name: 'Jane', birth: '1995-05-20T00:00:00Z', start_day: '2023-01-01T20:00:00Z', role: 2 },
+            { user_name: 'Adam', birth: '1990-01-01T00:00:00Z', start_day: '2022-06-01T00:00:00Z', role: 2 },
+        ]);
+    });
+
+    async function download(query = '') {
+        const res = await helper.request('GET', `/user/export/xlsx${query}`, { token });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="staff-\d{14}\.xlsx"/);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.raw);
+        return workbook;
+    }
+
+    it('has one sheet per role with a header row and typed dates', async () => {
+        const workbook = await download('?SortBy=user_name');
+        assert.deepEqual(_.map(workbook.worksheets, 'name'), ['1 Role 1', '2 Staff day night', '3 Empty']);
+
+        const sheet = workbook.getWorksheet('2 Staff day night');
+        assert.deepEqual(sheet.getRow(1).values.slice(1), ['ID', 'Name', 'State', 'Birth', 'Start day', 'Phone', 'Address', 'Email', 'Created at']);
+        assert.equal(sheet.rowCount, 3);
+        assert.equal(sheet.getCell('B2').value, 'Adam');
+        assert.equal(sheet.getCell('B3').value, 'Jane');
+
+        const startDay = sheet.getCell('E3');
+        assert.ok(startDay.value instanceof Date);
+        assert.deepEqual(startDay.value, new Date('2023-01-02T04:00:00Z')); // next day in Singapore
+        assert.equal(startDay.numFmt, 'yyyy-mm-dd');
+
+        assert.equal(workbook.getWorksheet('3 Empty').rowCount, 1);
+    });
+
+    it('applies list filters', async () => {
+        const workbook = await download('?role=2&user_name=jan');
+        assert.deepEqual(_.map(workbook.worksheets, 'name'), ['2 Staff day night']);
+        assert.equal(workbook.worksheets[0].rowCount, 2);
+
+        const invalid = await helper.request('GET', '/user/export/xlsx?password=x', { token });
+        assert.equal(invalid.body.errorCode, '003005');
+
+        const unknown = await helper.request('GET', '/user/export/xlsx?role=99', { token });
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.errorCode, '002005');
+    });
+});